@@ -0,0 +1,48 @@
+// Refresh src/content/podcast.json from the show's RSS feed:
+//   node scripts/import-feed.js path/to/feed.xml   (or PODCAST_FEED_FILE=…)
+// Feed fields (title, date, duration, audio, artwork, description) replace the
+// hand-typed ones; tags, notes and brand links stay. The result is validated
+// like any other content edit before anything is written.
+import fs from "node:fs/promises";
+import { parsePodcastFeed, mergeEpisodes } from "../src/lib/rss.js";
+import { validateContent } from "../src/content/schema.js";
+
+const contentFile = (name) => new URL(`../src/content/${name}.json`, import.meta.url);
+const readContent = async (name) => JSON.parse(await fs.readFile(contentFile(name), "utf8"));
+
+const feedPath = process.argv[2] || process.env.PODCAST_FEED_FILE;
+if (!feedPath) {
+  console.error("Usage: node scripts/import-feed.js <feed.xml> (or set PODCAST_FEED_FILE)");
+  process.exit(1);
+}
+
+let feed;
+try {
+  feed = parsePodcastFeed(await fs.readFile(feedPath, "utf8"));
+} catch (err) {
+  console.error(`Could not read ${feedPath}: ${err.message}`);
+  process.exit(1);
+}
+feed.warnings.forEach((warning) => console.warn(`  warning: ${warning}`));
+
+const podcast = await readContent("podcast");
+const next = { ...podcast, episodes: mergeEpisodes(podcast.episodes, feed.episodes) };
+
+const content = Object.fromEntries(
+  await Promise.all(["brands", "programs", "social", "press", "hero", "presskit", "events", "legal"].map(async (name) => [name, await readContent(name)]))
+);
+const problems = validateContent({ ...content, podcast: next });
+if (problems.length) {
+  console.error(`Feed import would produce invalid content:\n  - ${problems.join("\n  - ")}`);
+  process.exit(1);
+}
+
+// Same layout as the hand-edited file: one line per episode.
+const inline = (value) => (Array.isArray(value) ? `[${value.map(inline).join(", ")}]` : JSON.stringify(value));
+const episodeLine = (episode) => `{ ${Object.entries(episode).map(([key, value]) => `${JSON.stringify(key)}: ${inline(value)}`).join(", ")} }`;
+const show = JSON.stringify(next.show, null, 2).replace(/\n/g, "\n  ");
+await fs.writeFile(
+  contentFile("podcast"),
+  `{\n  "show": ${show},\n  "episodes": [\n${next.episodes.map((ep) => `    ${episodeLine(ep)}`).join(",\n")}\n  ]\n}\n`
+);
+console.log(`Imported ${feed.episodes.length} episode(s) from ${feedPath}; podcast.json now lists ${next.episodes.length}.`);
@@ -0,0 +1,204 @@
+// Local stand-in for the backend, for exercising the forms without deploying
+// anything. Run `npm run mock:api`, then start the app with
+// `VITE_API_BASE=http://localhost:8787 npm run dev`. State lives in memory.
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+
+const PORT = Number(process.env.MOCK_API_PORT) || 8787;
+const MIN_FILL_MS = 3000;
+const MIN_POW_DIFFICULTY = 14;
+// Queued submissions retry for a while, so their challenge may be old.
+const CHALLENGE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT = { max: 5, windowMs: 10 * 60 * 1000 };
+
+const processed = new Map(); // Idempotency-Key → { status, body }
+const hits = new Map(); // client address → request timestamps
+const subscribers = new Map(); // `${list}:${email}` → { token, confirmed }
+
+// CMS collections: scripts/mock-content.json wins, src/content is the default.
+// Files are re-read per request, so edits show up on the app's next revalidation.
+const readJSON = async (relative) => JSON.parse(await fs.readFile(new URL(relative, import.meta.url), "utf8"));
+const contentCollections = {
+  brands: () => readJSON("../src/content/brands.json"),
+  episodes: async () => (await readJSON("../src/content/podcast.json")).episodes,
+  events: () => readJSON("../src/content/events.json"),
+  press: () => readJSON("../src/content/press.json"),
+  hero: () => readJSON("../src/content/hero.json"),
+};
+
+// MOCK_FEED=<path to an RSS file> serves episodes as the raw feed instead,
+// the way a backend proxying the show's RSS would.
+const feedFile = process.env.MOCK_FEED;
+
+async function readCollection(name) {
+  const overrides = await readJSON("./mock-content.json");
+  return name in overrides ? overrides[name] : contentCollections[name]();
+}
+
+const leadingZeroBits = (hexDigest) => {
+  let bits = 0;
+  for (const char of hexDigest) {
+    const nibble = parseInt(char, 16);
+    if (nibble === 0) { bits += 4; continue; }
+    return bits + Math.clz32(nibble) - 28;
+  }
+  return bits;
+};
+
+// Mirrors proofOfWorkChallenge in src/lib/spam.js: data is "<form>:<issuedAt>:<email>".
+function verifyChallenge(challenge, formName, email) {
+  if (!challenge || challenge.type !== 'pow') return 'missing challenge';
+  const [form, issuedAt, boundEmail] = String(challenge.data).split(':');
+  if (form !== formName || boundEmail !== String(email || '').trim().toLowerCase()) return 'challenge bound to another submission';
+  if (!(Date.now() - Number(issuedAt) < CHALLENGE_MAX_AGE_MS)) return 'challenge expired';
+  if (!(challenge.difficulty >= MIN_POW_DIFFICULTY)) return 'challenge too easy';
+  const digest = crypto.createHash('sha256').update(`${challenge.data}:${challenge.nonce}`).digest('hex');
+  return leadingZeroBits(digest) >= challenge.difficulty ? null : 'invalid proof of work';
+}
+
+function rateLimited(address) {
+  const now = Date.now();
+  const recent = (hits.get(address) || []).filter((t) => now - t < RATE_LIMIT.windowMs);
+  hits.set(address, [...recent, now]);
+  if (recent.length < RATE_LIMIT.max) return 0;
+  return Math.ceil((RATE_LIMIT.windowMs - (now - recent[0])) / 1000);
+}
+
+// Deterministic sample calendar: Sundays and a few scattered days are blocked,
+// some are tentative. Long ranges are capped at roughly a year.
+function mockAvailability(from, to) {
+  const dates = [];
+  const end = Math.min(Date.parse(`${to}T00:00:00Z`), Date.parse(`${from}T00:00:00Z`) + 400 * 86400000);
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= end; t += 86400000) {
+    const day = new Date(t);
+    const n = day.getUTCDate();
+    const status = day.getUTCDay() === 0 || n % 9 === 4 ? 'blocked' : n % 5 === 2 ? 'tentative' : 'available';
+    dates.push({ date: day.toISOString().slice(0, 10), status });
+  }
+  return { timezone: 'America/New_York', dates };
+}
+
+const routes = {
+  '/api/contact': (body) => {
+    const missing = ['name', 'email', 'message'].filter((field) => !String(body[field] || '').trim());
+    if (missing.length) {
+      return { status: 422, body: { errors: Object.fromEntries(missing.map((field) => [field, `${field[0].toUpperCase()}${field.slice(1)} is required`])) } };
+    }
+    if (!(body.elapsedMs >= MIN_FILL_MS)) return { status: 400, body: { error: 'submitted too quickly' } };
+    const challengeError = verifyChallenge(body.challenge, 'contact', body.email);
+    if (challengeError) return { status: 400, body: { error: challengeError } };
+    console.log(`[contact] ${body.type} inquiry from ${body.email}`, body.details || {});
+    return { status: 200, body: { status: 'received' } };
+  },
+
+  '/api/brgr/applications': (body) => {
+    const errors = {};
+    ['program', 'name', 'email', 'country', 'city', 'motivation'].forEach((field) => {
+      if (!String(body[field] || '').trim()) errors[field] = `${field[0].toUpperCase()}${field.slice(1)} is required`;
+    });
+    if (body.eligibility && body.eligibility.adult !== 'Yes') errors.adult = 'Applicants must be 18 or older';
+    if (Object.keys(errors).length) return { status: 422, body: { errors } };
+    if (!(body.elapsedMs >= MIN_FILL_MS)) return { status: 400, body: { error: 'submitted too quickly' } };
+    const challengeError = verifyChallenge(body.challenge, 'brgr-apply', body.email);
+    if (challengeError) return { status: 400, body: { error: challengeError } };
+    console.log(`[brgr] application for ${body.program}${body.cohort ? ` (${body.cohort})` : ''} from ${body.email}`);
+    return { status: 200, body: { status: 'received' } };
+  },
+
+  '/api/bookings': (body) => {
+    const errors = {};
+    ['eventType', 'format', 'audienceSize', 'date', 'organization', 'name', 'email'].forEach((field) => {
+      const label = field.replace(/[A-Z]/g, (c) => ` ${c.toLowerCase()}`);
+      if (!String(body[field] || '').trim()) errors[field] = `${label[0].toUpperCase()}${label.slice(1)} is required`;
+    });
+    if (body.format !== 'Virtual' && !String(body.location || '').trim()) errors.location = 'City or venue is required';
+    if (body.date && mockAvailability(body.date, body.date).dates[0]?.status === 'blocked') errors.date = 'That date is no longer available';
+    if (Object.keys(errors).length) return { status: 422, body: { errors } };
+    if (!(body.elapsedMs >= MIN_FILL_MS)) return { status: 400, body: { error: 'submitted too quickly' } };
+    const challengeError = verifyChallenge(body.challenge, 'booking', body.email);
+    if (challengeError) return { status: 400, body: { error: challengeError } };
+    console.log(`[booking] ${body.eventType} on ${body.date}${body.startsAt ? ` (${body.startsAt})` : ''} from ${body.email}`);
+    return { status: 200, body: { status: 'received' } };
+  },
+
+  '/api/newsletter/subscribe': (body) => {
+    const key = `${body.list}:${String(body.email).trim().toLowerCase()}`;
+    if (subscribers.has(key)) return { status: 409, body: { status: 'already_subscribed' } };
+    const token = crypto.randomUUID();
+    subscribers.set(key, { token, confirmed: false });
+    console.log(`[newsletter] confirm ${key} at /newsletter/confirm?token=${token}`);
+    return { status: 200, body: { status: 'pending' } };
+  },
+
+  '/api/newsletter/confirm': (body) => {
+    const entry = [...subscribers.values()].find((sub) => sub.token === body.token);
+    if (!entry) return { status: 404, body: { error: 'unknown token' } };
+    if (entry.confirmed) return { status: 409, body: { status: 'already_confirmed' } };
+    entry.confirmed = true;
+    return { status: 200, body: { status: 'confirmed' } };
+  },
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    ...headers,
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try { resolve(JSON.parse(raw || '{}')); } catch { resolve(null); }
+  });
+});
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (pathname === '/api/availability') {
+    if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' });
+    const [from, to] = [searchParams.get('from'), searchParams.get('to')];
+    if (![from, to].every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d || ''))) return send(res, 400, { error: 'from and to must be YYYY-MM-DD' });
+    return send(res, 200, mockAvailability(from, to), { 'Cache-Control': 'no-store' });
+  }
+
+  const collection = pathname.match(/^\/api\/content\/([a-z-]+)$/);
+  if (collection) {
+    if (!contentCollections[collection[1]]) return send(res, 404, { error: 'unknown collection' });
+    if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' });
+    if (collection[1] === 'episodes' && feedFile) {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' });
+      return res.end(await fs.readFile(feedFile, "utf8"));
+    }
+    return send(res, 200, await readCollection(collection[1]), { 'Cache-Control': 'no-store' });
+  }
+
+  const handler = routes[pathname];
+  if (!handler) return send(res, 404, { error: 'not found' });
+  if (req.method !== 'POST') return send(res, 405, { error: 'method not allowed' });
+
+  const key = req.headers['idempotency-key'];
+  if (key && processed.has(key)) {
+    const replay = processed.get(key);
+    return send(res, replay.status, replay.body, { 'Idempotent-Replayed': 'true' });
+  }
+
+  const retryAfter = rateLimited(req.socket.remoteAddress);
+  if (retryAfter) return send(res, 429, { error: 'too many requests' }, { 'Retry-After': String(retryAfter) });
+
+  const body = await readBody(req);
+  if (!body) return send(res, 400, { error: 'invalid JSON' });
+  const result = handler(body);
+  if (key && result.status < 500) processed.set(key, result);
+  send(res, result.status, result.body);
+});
+
+server.listen(PORT, () => console.log(`mock API listening on http://localhost:${PORT}`));
@@ -0,0 +1,56 @@
+// Renders every route to dist/<route>/index.html after `vite build` and the SSR
+// build of src/entry-server.jsx, then writes sitemap.xml, robots.txt and the
+// podcast feed from the same route and content data. Run via `npm run build`.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { buildSitemap, buildRobots, buildPodcastFeed, resolveDeployEnv } from "./seo-files.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dist = path.join(root, "dist");
+const serverDir = path.join(dist, "server");
+
+// Drop the template's static <title> and managed tags; each page brings its own.
+const stripManagedHead = (html) => html
+  .replace(/<title>[\s\S]*?<\/title>\s*/, "")
+  .replace(/<meta data-head[^>]*>\s*/g, "");
+
+const fillTemplate = (template, { html, head, lang }) => template
+  .replace(/<html lang="[^"]*"/, `<html lang="${lang}"`)
+  .replace("</head>", `  ${head}\n  </head>`)
+  .replace('<div id="root"></div>', `<div id="root">${html}</div>`);
+
+const outputFileFor = (route) => (route === "/"
+  ? path.join(dist, "index.html")
+  : path.join(dist, ...route.split("/").filter(Boolean), "index.html"));
+
+async function main() {
+  const template = stripManagedHead(await fs.readFile(path.join(dist, "index.html"), "utf8"));
+  const server = await import(pathToFileURL(path.join(serverDir, "entry-server.js")).href);
+  const { render, getPrerenderPaths, getSitemapPaths, SITE, podcast, episodes } = server;
+
+  const routes = await getPrerenderPaths();
+  for (const route of routes) {
+    const file = outputFileFor(route);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, fillTemplate(template, await render(route)));
+    console.log(`prerendered ${route} → ${path.relative(root, file)}`);
+  }
+
+  // Static hosts (Render, Vercel, Netlify) serve this for unknown paths.
+  await fs.writeFile(path.join(dist, "404.html"), fillTemplate(template, await render("/404")));
+  console.log("prerendered 404 → dist/404.html");
+
+  const deployEnv = resolveDeployEnv();
+  await fs.writeFile(path.join(dist, "sitemap.xml"), buildSitemap(SITE.url, await getSitemapPaths()));
+  await fs.writeFile(path.join(dist, "robots.txt"), buildRobots(SITE.url, deployEnv));
+  await fs.writeFile(path.join(dist, podcast.feedPath.replace(/^\//, "")), buildPodcastFeed(SITE.url, podcast, episodes));
+  console.log(`wrote sitemap.xml, robots.txt (${deployEnv}) and ${podcast.feedPath}`);
+
+  await fs.rm(serverDir, { recursive: true, force: true });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Builders for the crawler-facing files written by scripts/prerender.js.
+
+const escapeXml = (str) => String(str)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+const absolute = (siteUrl, path) => `${siteUrl}${path.startsWith("/") ? path : `/${path}`}`;
+
+export function buildSitemap(siteUrl, paths) {
+  const urls = paths
+    .map((path) => `  <url><loc>${escapeXml(absolute(siteUrl, path))}</loc></url>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+// Deploy environment: DEPLOY_ENV wins, then Vercel's VERCEL_ENV, then Render's
+// pull-request previews. Anything but "production" is kept out of search indexes.
+export function resolveDeployEnv(env = process.env) {
+  if (env.DEPLOY_ENV) return env.DEPLOY_ENV;
+  if (env.VERCEL_ENV) return env.VERCEL_ENV;
+  if (env.IS_PULL_REQUEST === "true") return "preview";
+  return "production";
+}
+
+export function buildRobots(siteUrl, deployEnv) {
+  if (deployEnv !== "production") {
+    return "User-agent: *\nDisallow: /\n";
+  }
+  return `User-agent: *\nAllow: /\n\nSitemap: ${absolute(siteUrl, "/sitemap.xml")}\n`;
+}
+
+const rfc822 = (isoDate) => new Date(`${isoDate}T00:00:00Z`).toUTCString();
+
+export function buildPodcastFeed(siteUrl, podcast, episodes) {
+  const feedUrl = absolute(siteUrl, podcast.feedPath);
+  const items = episodes.map((ep) => {
+    const link = absolute(siteUrl, `/media/podcast/${ep.slug}`);
+    return `    <item>
+      <title>${escapeXml(ep.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="false">${escapeXml(`${podcast.url}#${ep.slug}`)}</guid>
+      <pubDate>${rfc822(ep.date)}</pubDate>${ep.description ? `
+      <description>${escapeXml(ep.description)}</description>` : ""}
+      <itunes:duration>${escapeXml(ep.duration)}</itunes:duration>${ep.audioUrl ? `
+      <enclosure url="${escapeXml(ep.audioUrl)}" length="0" type="audio/mpeg" />` : ""}
+    </item>`;
+  }).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>${escapeXml(podcast.title)}</title>
+    <link>${escapeXml(podcast.url)}</link>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml" />
+    <description>${escapeXml(podcast.description)}</description>
+    <language>${escapeXml(podcast.language)}</language>
+    <itunes:author>${escapeXml(podcast.author)}</itunes:author>
+${items}
+  </channel>
+</rss>
+`;
+}
@@ -0,0 +1,19 @@
+import React from "react";
+import { SITE } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { buildIcs, icsFileName } from "../lib/events.js";
+import { downloadBlob } from "../lib/zip.js";
+
+// Downloads the events as one .ics file, generated in the browser.
+export default function AddToCalendar({ events, className = "", children }) {
+  const { t } = useI18n();
+  const download = () => {
+    const ics = buildIcs(events, { siteUrl: SITE.url }, t);
+    downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), icsFileName(events));
+  };
+  return (
+    <button type="button" onClick={download} className={className}>
+      {children || t('calendar.add')}
+    </button>
+  );
+}
@@ -0,0 +1,183 @@
+import React from "react";
+import { useRouter, useHydratedSearchParams } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { currentVersion, findVersion, diffVersions } from "../lib/legal.js";
+
+// Email addresses in legal text become mailto links.
+const EMAIL = /([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/;
+
+function RichText({ text }) {
+  return (
+    <>
+      {text.split(EMAIL).map((part, i) => (i % 2
+        ? <a key={i} className="text-accent underline" href={`mailto:${part}`}>{part}</a>
+        : part))}
+    </>
+  );
+}
+
+function Block({ block }) {
+  if (typeof block === 'string') return <p className="text-muted mt-2"><RichText text={block} /></p>;
+  return (
+    <ul className="list-disc pl-6 text-muted space-y-2 mt-2">
+      {block.items.map((item, i) => (
+        <li key={i}>
+          {typeof item === 'string' ? <RichText text={item} /> : (
+            <><span className="text-ink font-medium">{item.label}:</span> <RichText text={item.text} /></>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Sections are anchored by their content `id`, so /privacy#data-sharing survives renumbering.
+function Section({ section, number }) {
+  const { t } = useI18n();
+  return (
+    <section id={section.id} className="group scroll-mt-24">
+      <h2 className="text-xl font-semibold mt-6 break-after-avoid">
+        {number}) {section.title}
+        <a
+          href={`#${section.id}`}
+          className="ml-2 text-accent opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity print:hidden"
+          aria-label={t('legal.sectionLink', { title: section.title })}
+        >
+          #
+        </a>
+      </h2>
+      {section.body.map((block, i) => <Block key={i} block={block} />)}
+    </section>
+  );
+}
+
+// Changed sections only, line by line; unchanged ones are counted.
+function Changes({ older, newer }) {
+  const { t, formatDate } = useI18n();
+  const sections = diffVersions(older, newer);
+  const unchanged = sections.filter((section) => section.status === 'same').length;
+  return (
+    <div className="mt-4 grid gap-4">
+      <p className="text-sm text-muted">{t('legal.comparedWith', { version: older.version, date: formatDate(older.effective) })}</p>
+      {sections.filter((section) => section.status !== 'same').map((section) => (
+        <div key={section.id} className="rounded-xl border border-line/10 bg-inset/20 p-4">
+          <div className="flex flex-wrap items-baseline justify-between gap-2">
+            <h4 className="font-medium">{section.title || t('legal.introduction')}</h4>
+            <span className="text-xs tracking-widest uppercase text-accent">{t(`legal.status.${section.status}`)}</span>
+          </div>
+          <div className="mt-2 grid gap-1 text-sm">
+            {section.lines.map((line, i) => {
+              if (line.type === 'added') {
+                return (
+                  <ins key={i} className="block no-underline text-green-400 bg-green-900/20 rounded px-2 py-0.5">
+                    <span className="sr-only">{t('legal.added')} </span>{line.text}
+                  </ins>
+                );
+              }
+              if (line.type === 'removed') {
+                return (
+                  <del key={i} className="block text-red-400 bg-red-900/20 rounded px-2 py-0.5">
+                    <span className="sr-only">{t('legal.removed')} </span>{line.text}
+                  </del>
+                );
+              }
+              return <p key={i} className="text-muted px-2">{line.text}</p>;
+            })}
+          </div>
+        </div>
+      ))}
+      {unchanged > 0 && <p className="text-xs text-muted">{t('legal.unchanged', { count: unchanged })}</p>}
+    </div>
+  );
+}
+
+// A versioned policy from legal.json. `?version=2` reads an older version and
+// `?changes=3` opens the diff for version 3 in the history list. Both apply
+// after mount, since the page is prerendered with the current version.
+export default function LegalDocument({ doc }) {
+  const { pathname, setSearchParams, navigate } = useRouter();
+  const searchParams = useHydratedSearchParams();
+  const { t, formatDate } = useI18n();
+  const latest = currentVersion(doc);
+  const version = findVersion(doc, searchParams.get('version')) || latest;
+  const archived = version !== latest;
+  const changes = Number(searchParams.get('changes')) || 0;
+
+  const read = (target) => navigate(target === latest ? pathname : `${pathname}?version=${target.version}`);
+  const toggleChanges = (number) => setSearchParams({
+    version: archived ? version.version : '',
+    changes: changes === number ? '' : number,
+  });
+
+  return (
+    <div className="grid gap-6">
+      <section className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)] print:shadow-none print:p-0">
+        <h1 className="text-3xl font-bold">{doc.title}</h1>
+        <p className="mt-2 text-muted">
+          {t('legal.effective', { date: formatDate(version.effective) })} · {t('legal.version', { version: version.version })}
+        </p>
+        {archived && (
+          <div className="mt-4 text-sm p-3 rounded-lg border border-accent/30 bg-accent/10" role="status">
+            {t('legal.archived', { version: version.version })}{' '}
+            <button type="button" className="text-accent underline print:hidden" onClick={() => read(latest)}>{t('legal.readCurrent')}</button>
+          </div>
+        )}
+        <div className="mt-4 flex flex-wrap gap-4 text-sm print:hidden">
+          <button type="button" className="text-accent hover:underline" onClick={() => window.print()}>{t('legal.print')}</button>
+          <a href="#history" className="text-accent hover:underline">{t('legal.history')}</a>
+        </div>
+
+        <nav className="mt-6 p-4 rounded-xl border border-line/10 bg-inset/20" aria-label={t('legal.contents')}>
+          <div className="text-xs tracking-[0.2em] uppercase text-accent">{t('legal.contents')}</div>
+          <ol className="mt-2 grid sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+            {version.sections.map((section, i) => (
+              <li key={section.id}>
+                <a href={`#${section.id}`} className="text-muted hover:text-accent transition-colors">{i + 1}) {section.title}</a>
+              </li>
+            ))}
+          </ol>
+        </nav>
+
+        {version.intro && <p className="mt-4 text-muted"><RichText text={version.intro} /></p>}
+        {version.sections.map((section, i) => <Section key={section.id} section={section} number={i + 1} />)}
+      </section>
+
+      <section id="history" className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)] scroll-mt-24 print:hidden">
+        <h2 className="text-xs tracking-[0.2em] uppercase text-accent">{t('legal.history')}</h2>
+        <ol className="mt-4 grid gap-4">
+          {[...doc.versions].reverse().map((entry) => (
+            <li key={entry.version} className="border-b border-line/10 pb-4 last:border-0 last:pb-0">
+              <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+                <span className="font-medium">{t('legal.version', { version: entry.version })}</span>
+                <time dateTime={entry.effective} className="text-sm text-muted">{formatDate(entry.effective)}</time>
+                {entry === latest && <span className="text-xs bg-accent/15 text-accent px-2 py-0.5 rounded">{t('legal.current')}</span>}
+              </div>
+              <p className="text-sm text-muted mt-1">{entry.summary}</p>
+              <div className="flex flex-wrap gap-4 mt-2 text-sm">
+                {entry !== version && (
+                  <button type="button" className="text-accent hover:underline" onClick={() => read(entry)}>{t('legal.read')}</button>
+                )}
+                {entry.version > 1 && (
+                  <button
+                    type="button"
+                    className="text-accent hover:underline"
+                    aria-expanded={changes === entry.version}
+                    aria-controls={`changes-${entry.version}`}
+                    onClick={() => toggleChanges(entry.version)}
+                  >
+                    {changes === entry.version ? t('legal.hideChanges') : t('legal.whatChanged')}
+                  </button>
+                )}
+              </div>
+              {changes === entry.version && (
+                <div id={`changes-${entry.version}`}>
+                  <Changes older={findVersion(doc, entry.version - 1)} newer={entry} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useCallback, useContext, useEffect, useMemo, useRef, useState, createContext } from "react";
+import { NavLink } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { episodePath } from "../lib/podcast.js";
+
+/********************
+ * PERSISTENT AUDIO PLAYER
+ ********************/
+// One <audio> element owned by Shell, so playback survives route changes.
+// Pages start episodes through usePlayer(); the bar docks at the bottom.
+const PlayerCtx = createContext(null);
+
+export const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+  const s = Math.floor(seconds % 60);
+  const m = Math.floor(seconds / 60) % 60;
+  const h = Math.floor(seconds / 3600);
+  return `${h ? `${h}:${String(m).padStart(2, '0')}` : m}:${String(s).padStart(2, '0')}`;
+};
+
+export function PlayerProvider({ children }) {
+  const audioRef = useRef(null);
+  const [episode, setEpisode] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [time, setTime] = useState({ current: 0, duration: 0 });
+
+  // Start (or resume) an episode. Episodes without audio are ignored.
+  const play = useCallback((next) => {
+    if (!next || !next.audioUrl) return;
+    if (episode && episode.slug === next.slug) {
+      audioRef.current.play().catch(() => setPlaying(false));
+      return;
+    }
+    setTime({ current: 0, duration: 0 });
+    setEpisode(next);
+  }, [episode]);
+
+  const pause = useCallback(() => audioRef.current && audioRef.current.pause(), []);
+  const seek = useCallback((seconds) => {
+    if (audioRef.current) audioRef.current.currentTime = seconds;
+  }, []);
+  const close = useCallback(() => {
+    pause();
+    setEpisode(null);
+  }, [pause]);
+
+  // A new source starts playing as soon as it is attached
+  useEffect(() => {
+    if (episode && audioRef.current) audioRef.current.play().catch(() => setPlaying(false));
+  }, [episode]);
+
+  const value = useMemo(() => ({ episode, playing, time, play, pause, seek, close }), [episode, playing, time, play, pause, seek, close]);
+
+  return (
+    <PlayerCtx.Provider value={value}>
+      {children}
+      <audio
+        ref={audioRef}
+        src={episode ? episode.audioUrl : undefined}
+        preload="none"
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => setPlaying(false)}
+        onLoadedMetadata={(e) => setTime((t) => ({ ...t, duration: e.currentTarget.duration }))}
+        onTimeUpdate={(e) => setTime({ current: e.currentTarget.currentTime, duration: e.currentTarget.duration })}
+      />
+      {episode && <PlayerBar />}
+    </PlayerCtx.Provider>
+  );
+}
+
+export function usePlayer() {
+  const player = useContext(PlayerCtx);
+  if (!player) throw new Error('usePlayer must be used within <PlayerProvider>');
+  return player;
+}
+
+// Play/pause for one episode; renders nothing when the episode has no audio.
+export function PlayButton({ episode, className = "" }) {
+  const { t } = useI18n();
+  const player = usePlayer();
+  if (!episode.audioUrl) return null;
+  const active = player.episode && player.episode.slug === episode.slug;
+  const playing = active && player.playing;
+  return (
+    <button
+      type="button"
+      onClick={() => (playing ? player.pause() : player.play(episode))}
+      className={`inline-flex items-center gap-2 rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors ${className}`}
+      aria-label={t(playing ? 'player.pauseTitle' : 'player.playTitle', { title: episode.title })}
+    >
+      <span aria-hidden="true">{playing ? '❚❚' : '▶'}</span>
+      {playing ? t('player.pause') : t('player.playEpisode')}
+    </button>
+  );
+}
+
+function PlayerBar() {
+  const { t } = useI18n();
+  const { episode, playing, time, play, pause, seek, close } = usePlayer();
+
+  return (
+    <>
+      {/* Keeps the footer clear of the docked bar */}
+      <div className="h-20" aria-hidden="true" />
+      <div className="fixed bottom-0 inset-x-0 z-50 border-t border-line/10 bg-surface/95 backdrop-blur print:hidden" role="region" aria-label={t('player.label')}>
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center gap-4">
+          <button
+            type="button"
+            onClick={() => (playing ? pause() : play(episode))}
+            className="w-10 h-10 shrink-0 rounded-full bg-accent text-accent-fg grid place-items-center"
+            aria-label={playing ? t('player.pause') : t('player.play')}
+          >
+            <span aria-hidden="true">{playing ? '❚❚' : '▶'}</span>
+          </button>
+          <div className="flex-1 min-w-0">
+            <NavLink to={episodePath(episode.slug)} unstyled className="block truncate text-sm hover:text-accent transition-colors" activeClassName="">
+              {episode.title}
+            </NavLink>
+            <div className="flex items-center gap-3 text-xs text-muted">
+              <span className="tabular-nums">{formatTime(time.current)}</span>
+              <input
+                type="range"
+                min="0"
+                max={Number.isFinite(time.duration) ? time.duration : 0}
+                step="1"
+                value={time.current}
+                onChange={(e) => seek(Number(e.target.value))}
+                className="flex-1 accent-accent"
+                aria-label={t('player.seek')}
+                aria-valuetext={t('player.position', { current: formatTime(time.current), duration: formatTime(time.duration) })}
+              />
+              <span className="tabular-nums">{formatTime(time.duration)}</span>
+            </div>
+          </div>
+          <button type="button" onClick={close} className="p-2 rounded-full hover:bg-line/5 text-muted" aria-label={t('player.close')}>
+            ✕
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
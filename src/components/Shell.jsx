@@ -0,0 +1,188 @@
+import React, { useEffect, useState, Suspense } from "react";
+import { NavLink, useRouter, isPlainClick } from "../router.jsx";
+import { useTheme, THEME_PREFERENCES } from "../theme.jsx";
+import { useI18n } from "../i18n.jsx";
+import { LOCALES } from "../lib/i18n.js";
+import { social } from "../content/index.js";
+import { PlayerProvider } from "./Player.jsx";
+
+const THEME_ICONS = { light: '☀️', dark: '🌙', system: '🖥️' };
+
+// Header and footer links; labels come from the `nav.*` messages.
+const NAV_LINKS = ['/', '/about', '/brands', '/media', '/events', '/contact'];
+const navKey = (path) => `nav.${path === '/' ? 'home' : path.slice(1)}`;
+
+// Footer icons keyed by the `network` field in src/content/social.json
+const SOCIAL_ICONS = {
+  twitter: <path d="M22 4s-.7 2.1-2 3.4c1.6 10-9.4 17.3-18 11.6 2.2.1 4.4-.6 6-2C3 15.5.5 9.6 3 5c2.2 2.6 5.6 4.1 9 4-.9-4.2 4-6.6 7-3.8 1.1 0 3-1.2 3-1.2z"></path>,
+  instagram: <><rect x="2" y="2" width="20" height="20" rx="5" ry="5"></rect><path d="M16 11.37A4 4 0 1 1 12.63 8 4 4 0 0 1 16 11.37z"></path><line x1="17.5" y1="6.5" x2="17.51" y2="6.5"></line></>,
+  linkedin: <><path d="M16 8a6 6 0 0 1 6 6v7h-4v-7a2 2 0 0 0-2-2 2 2 0 0 0-2 2v7h-4v-7a6 6 0 0 1 6-6z"></path><rect x="2" y="9" width="4" height="12"></rect><circle cx="4" cy="4" r="2"></circle></>,
+  youtube: <><path d="M22.54 6.42a2.78 2.78 0 0 0-1.94-2C18.88 4 12 4 12 4s-6.88 0-8.6.46a2.78 2.78 0 0 0-1.94 2A29 29 0 0 0 1 11.75a29 29 0 0 0 .46 5.33A2.78 2.78 0 0 0 3.4 19c1.72.46 8.6.46 8.6.46s6.88 0 8.6-.46a2.78 2.78 0 0 0 1.94-2 29 29 0 0 0 .46-5.25 29 29 0 0 0-.46-5.33z"></path><polygon points="9.75 15.02 15.5 11.75 9.75 8.48 9.75 15.02"></polygon></>,
+};
+
+// Cycles light → dark → system; the icon shows the current preference.
+function ThemeToggle() {
+  const { preference, theme, toggleTheme } = useTheme();
+  const { t, lang } = useI18n();
+  const next = THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length];
+  const current = t(`theme.${preference}`);
+  const detail = preference === 'system' ? t('theme.detail', { theme: t(`theme.${theme}`).toLocaleLowerCase(lang) }) : '';
+
+  return (
+    <button 
+      onClick={toggleTheme} 
+      className="p-2 rounded-full hover:bg-line/5"
+      aria-label={t('theme.switch', { current, detail, next: t(`theme.${next}`).toLocaleLowerCase(lang) })}
+      title={t('theme.title', { current, detail })}
+    >
+      {THEME_ICONS[preference]}
+    </button>
+  );
+}
+
+// Same page in another language; the choice lives in the URL prefix.
+function LanguageSwitcher({ className = "" }) {
+  const { pathname, search, hash, locale, navigate } = useRouter();
+  const { t } = useI18n();
+  return (
+    <label className={`flex items-center ${className}`}>
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={locale}
+        onChange={(e) => navigate(`${pathname}${search}${hash}`, { locale: e.target.value })}
+        className="bg-transparent text-sm rounded-xl border border-line/10 px-2 py-1.5 hover:bg-line/5 focus:outline-none focus:border-accent"
+      >
+        {LOCALES.map((option) => (
+          <option key={option.id} value={option.prefix} lang={option.tag}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default function Shell({ children }) {
+  const { navigate, localizePath, loading } = useRouter();
+  const { t } = useI18n();
+  const [menuOpen, setMenuOpen] = useState(false);
+  
+  // Close mobile menu when route changes
+  useEffect(() => {
+    setMenuOpen(false);
+  }, [navigate]);
+  
+  // PlayerProvider sits outside the routed content so audio keeps playing across navigations
+  return (
+    <PlayerProvider>
+      <div className="min-h-screen flex flex-col bg-canvas text-ink transition-colors duration-300">
+        {/* Page Loader */}
+        {loading && (
+          <div className="fixed inset-0 bg-canvas/80 z-[100] flex items-center justify-center">
+            <div className="w-12 h-12 border-4 border-accent border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+        
+        <header className="border-b border-line/10 sticky top-0 z-50 bg-canvas/60 backdrop-blur-md print:hidden">
+          <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between">
+            <a 
+              href={localizePath('/')} 
+              onClick={(e) => {
+                if (!isPlainClick(e)) return;
+                e.preventDefault();
+                navigate('/');
+              }} 
+              className="flex items-center gap-2 text-xl font-semibold"
+            >
+              <span className="w-3 h-3 rounded-full bg-accent inline-block" />
+              Angel Kellogg
+            </a>
+            
+            {/* Desktop Navigation */}
+            <nav className="hidden md:flex items-center gap-1">
+              {NAV_LINKS.map((path) => <NavLink key={path} to={path}>{t(navKey(path))}</NavLink>)}
+              <div className="pl-2 border-l border-line/10 ml-2 flex items-center gap-1">
+                <LanguageSwitcher />
+                <ThemeToggle />
+              </div>
+            </nav>
+            
+            {/* Mobile Menu Button */}
+            <div className="flex items-center gap-4 md:hidden">
+              <LanguageSwitcher />
+              <ThemeToggle />
+              <button 
+                onClick={() => setMenuOpen(!menuOpen)}
+                className="p-2 text-2xl"
+                aria-expanded={menuOpen}
+                aria-label={t('nav.toggleMenu')}
+              >
+                {menuOpen ? '✕' : '☰'}
+              </button>
+            </div>
+          </div>
+          
+          {/* Mobile Menu */}
+          <div 
+            className={`md:hidden absolute w-full bg-canvas/95 backdrop-blur-md border-b border-line/10 transition-all duration-300 ${
+              menuOpen ? 'max-h-[500px] opacity-100' : 'max-h-0 opacity-0 pointer-events-none'
+            } overflow-hidden`}
+          >
+            <div className="px-4 py-4 flex flex-col">
+              {[...NAV_LINKS, '/privacy'].map((path) => (
+                <NavLink key={path} to={path} className="py-3 border-b border-line/10">{t(navKey(path))}</NavLink>
+              ))}
+              <NavLink to="/terms" className="py-3">{t('nav.terms')}</NavLink>
+            </div>
+          </div>
+        </header>
+        
+        <main className="flex-1">
+          <div className="max-w-6xl mx-auto px-4 py-10">
+            <Suspense fallback={<div className="flex justify-center py-10"><div className="w-10 h-10 border-4 border-accent border-t-transparent rounded-full animate-spin"></div></div>}>
+              {children}
+            </Suspense>
+          </div>
+        </main>
+        
+        <footer className="border-t border-line/10 bg-inset/40 print:hidden">
+          <div className="max-w-6xl mx-auto px-4 py-8 grid gap-4 md:grid-cols-3">
+            <div>
+              <div className="font-semibold mb-2">Angel Kellogg</div>
+              <p className="text-sm text-muted">{t('site.tagline')}</p>
+              
+              {/* Social Links */}
+              <div className="flex gap-3 mt-4">
+                {social.map((profile) => (
+                  <a 
+                    key={profile.network}
+                    href={profile.url} 
+                    target="_blank" 
+                    rel="noopener noreferrer"
+                    className="w-8 h-8 flex items-center justify-center rounded-full border border-line/10 hover:border-accent hover:bg-line/5 transition-all"
+                    aria-label={profile.label}
+                  >
+                    {SOCIAL_ICONS[profile.network] ? (
+                      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">{SOCIAL_ICONS[profile.network]}</svg>
+                    ) : (
+                      <span className="text-xs" aria-hidden="true">{profile.label[0]}</span>
+                    )}
+                  </a>
+                ))}
+              </div>
+            </div>
+            <div className="grid gap-2">
+              {['/about', '/brands', '/media', '/events'].map((path) => (
+                <NavLink key={path} to={path} className="text-accent underline underline-offset-4" prefetch="viewport">{t(navKey(path))}</NavLink>
+              ))}
+            </div>
+            <div className="grid gap-2">
+              <a className="text-accent underline underline-offset-4" href="mailto:hello@angelkellogg.com">hello@angelkellogg.com</a>
+              <NavLink to="/privacy" className="text-accent underline underline-offset-4" prefetch="viewport">{t('nav.privacy')}</NavLink>
+              <NavLink to="/terms" className="text-accent underline underline-offset-4" prefetch="viewport">{t('nav.terms')}</NavLink>
+            </div>
+          </div>
+          <div className="text-center text-xs text-muted pb-8">{t('footer.rights', { year: String(new Date().getFullYear()) })}</div>
+        </footer>
+      </div>
+    </PlayerProvider>
+  );
+}
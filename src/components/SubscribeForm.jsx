@@ -0,0 +1,87 @@
+import React, { useId, useState } from "react";
+import { Button } from "./ui.jsx";
+import { useI18n } from "../i18n.jsx";
+import { subscribe, LISTS } from "../lib/newsletter.js";
+
+// Message text is `subscribe.<status>` in the catalogs.
+const MESSAGES = {
+  pending: { tone: 'success' },
+  subscribed: { tone: 'success' },
+  already: { tone: 'info' },
+  error: { tone: 'error' },
+};
+
+const TONES = {
+  success: 'text-green-400 bg-green-900/20 border-green-500/20',
+  info: 'text-accent bg-accent/10 border-accent/20',
+  error: 'text-red-400 bg-red-900/20 border-red-500/20',
+};
+
+// Email capture for any list. Statuses: idle | submitting | pending | subscribed | already | error
+// `label` and `submitLabel` default to the generic newsletter wording.
+export default function SubscribeForm({
+  list = LISTS.newsletter,
+  label,
+  submitLabel,
+  variant = 'outline',
+  centered = true,
+}) {
+  const { t, lang } = useI18n();
+  const id = useId();
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [fieldError, setFieldError] = useState('');
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (status === 'submitting') return;
+    setStatus('submitting');
+    setFieldError('');
+
+    const result = await subscribe(email, list);
+    if (result === 'invalid') {
+      setFieldError(t(email.trim() ? 'validation.invalid' : 'validation.required', { field: t('contact.fields.email') }));
+      setStatus('idle');
+      return;
+    }
+    setStatus(result);
+    if (result === 'pending' || result === 'subscribed') setEmail('');
+  }
+
+  const message = MESSAGES[status];
+
+  return (
+    <form className={`flex flex-col gap-4 ${centered ? '' : 'max-w-sm'}`} onSubmit={onSubmit} noValidate>
+      <div>
+        <input 
+          type="email" 
+          value={email}
+          onChange={(e) => { setEmail(e.target.value); if (fieldError) setFieldError(''); }}
+          placeholder={t('subscribe.email')}
+          className={`w-full bg-transparent border-b ${fieldError ? 'border-red-500' : 'border-line/20'} py-3 text-sm ${centered ? 'text-center' : ''} focus:outline-none focus:border-accent transition-colors`}
+          aria-label={label || t('subscribe.email')}
+          aria-invalid={!!fieldError}
+          aria-describedby={fieldError ? `${id}-error` : undefined}
+          autoComplete="email"
+        />
+        {fieldError && (
+          <p id={`${id}-error`} className="text-red-500 text-xs mt-1">{fieldError}</p>
+        )}
+      </div>
+      <Button 
+        variant={variant} 
+        type="submit"
+        className={centered ? 'mx-auto' : 'self-start'}
+        disabled={status === 'submitting'}
+        aria-busy={status === 'submitting'}
+      >
+        {(status === 'submitting' ? t('subscribe.sending') : submitLabel || t('subscribe.submit')).toLocaleUpperCase(lang)}
+      </Button>
+      {message && (
+        <div className={`p-3 rounded-lg border text-sm ${TONES[message.tone]}`} role={message.tone === 'error' ? 'alert' : 'status'}>
+          {t(`subscribe.${status}`)}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,136 @@
+import React from "react";
+import { NavLink } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+
+/********************
+ * UI PRIMITIVES (Enhanced)
+ ********************/
+export function Section({ id, className = "", children, bgColor = "" }) {
+  return (
+    <section 
+      id={id} 
+      className={`py-14 md:py-20 ${bgColor} ${className}`}
+      data-aos="fade-up"
+      data-aos-duration="800"
+    >
+      {children}
+    </section>
+  );
+}
+
+export function SectionHeading({ title, subtitle, centered = true, accentText }) {
+  return (
+    <div className={`mb-10 ${centered ? 'text-center' : ''}`}>
+      {accentText && (
+        <div className="text-xs tracking-[0.2em] uppercase text-accent mb-2">{accentText}</div>
+      )}
+      <h2 className="text-3xl md:text-4xl font-extralight tracking-tight">{title}</h2>
+      {subtitle && <p className="mt-4 text-muted">{subtitle}</p>}
+      <div className={`h-px w-16 bg-accent/60 ${centered ? 'mx-auto' : ''} mt-4`} />
+    </div>
+  );
+}
+
+// `as` renders another element (e.g. as="a" with href) with the same styling.
+export function Button({ as: Component = "button", children, variant = "primary", size = "md", className = "", ...props }) {
+  const variants = {
+    primary: "bg-accent text-accent-fg hover:opacity-90",
+    secondary: "border border-line/20 text-ink hover:bg-line/5",
+    outline: "border border-accent text-accent hover:bg-accent hover:text-accent-fg",
+  };
+  
+  const sizes = {
+    sm: "px-4 py-2 text-xs",
+    md: "px-6 py-3 text-sm",
+    lg: "px-8 py-4 text-base",
+  };
+  
+  return (
+    <Component 
+      className={`inline-flex items-center justify-center rounded-xl tracking-widest transition-all duration-300 disabled:opacity-60 disabled:cursor-not-allowed ${variants[variant]} ${sizes[size]} ${className}`}
+      {...props}
+    >
+      {children}
+    </Component>
+  );
+}
+
+// Row of single-choice filter chips with an "All" option (BRGR catalog, events).
+// `format` turns an option value into its label.
+export function FilterGroup({ label, value, options, onChange, format = (option) => option }) {
+  const { t, lang } = useI18n();
+  if (options.length < 2) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t('filters.by', { label: label.toLocaleLowerCase(lang) })}>
+      <span className="text-xs tracking-widest text-muted w-20">{label.toLocaleUpperCase(lang)}</span>
+      {['', ...options].map((option) => (
+        <button
+          key={option || 'all'}
+          type="button"
+          onClick={() => onChange(option)}
+          aria-pressed={value === option}
+          className={`px-3 py-1.5 rounded-xl border text-sm transition-colors ${value === option ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`}
+        >
+          {option ? format(option) : t('filters.all')}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Form controls shared by Contact and the BRGR application.
+export const inputClass = (hasError, extra = "") => (
+  `w-full bg-inset/40 border ${hasError ? 'border-red-500' : 'border-line/10'} rounded-xl px-4 py-3 focus:outline-none focus:border-accent transition-colors ${extra}`
+);
+
+// Pairs with aria-describedby={`${name}-error`} on the control.
+export function FieldError({ name, error }) {
+  if (!error) return null;
+  return <p id={`${name}-error`} className="text-red-500 text-xs mt-1">{error}</p>;
+}
+
+export function Card({ children, className = "" }) {
+  return (
+    <div 
+      className={`border border-line/10 bg-inset/20 p-6 rounded-2xl hover:border-accent/40 hover:shadow-lg transition-all duration-300 ${className}`}
+      data-aos="fade-up"
+    >
+      {children}
+    </div>
+  );
+}
+
+export function ExternalLink({ href, children, className = "" }) {
+  return (
+    <a 
+      href={href} 
+      target="_blank" 
+      rel="noopener noreferrer" 
+      className={`inline-flex items-center gap-2 ${className}`}
+    >
+      {children}
+      <span aria-hidden="true" className="transition-transform duration-300 group-hover:translate-x-1">↗</span>
+    </a>
+  );
+}
+
+// Links to the brand's page on this site first, its own site second.
+export function ProductCard({ product }) {
+  const { t, lang } = useI18n();
+  return (
+    <Card className="group">
+      <h3 className="text-xl font-light mb-2">
+        <NavLink to={`/brands/${product.slug}`} unstyled className="hover:text-accent transition-colors" activeClassName="">
+          {product.name}
+        </NavLink>
+      </h3>
+      <p className="text-muted text-sm">{product.blurb}</p>
+      <div className="mt-4 flex items-center gap-4 text-muted text-xs tracking-widest">
+        <NavLink to={`/brands/${product.slug}`} unstyled className="hover:text-accent transition-colors group/more" activeClassName="">
+          {t('brands.learnMore').toLocaleUpperCase(lang)} <span aria-hidden="true" className="inline-block transition-transform duration-300 group-hover/more:translate-x-1">→</span>
+        </NavLink>
+        <ExternalLink href={product.url} className="hover:text-accent transition-colors">{t('brands.visitSite').toLocaleUpperCase(lang)}</ExternalLink>
+      </div>
+    </Card>
+  );
+}
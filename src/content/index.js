@@ -0,0 +1,25 @@
+import brands from "./brands.json";
+import podcastData from "./podcast.json";
+import programs from "./programs.json";
+import social from "./social.json";
+import press from "./press.json";
+import hero from "./hero.json";
+import presskit from "./presskit.json";
+import events from "./events.json";
+import legal from "./legal.json";
+
+// Single source for site content. Edit the JSON files next to this module;
+// src/content/schema.js validates them at build start. Brands, episodes, events,
+// press logos and hero copy can also be served at runtime (see provider.js); these
+// bundled copies are the fallback and what prerendering uses.
+export { brands, programs, social, press, hero, presskit, events, legal };
+export const podcast = podcastData.show;
+export const episodes = podcastData.episodes;
+
+export const getBrand = (slug) => brands.find((brand) => brand.slug === slug) || null;
+
+// Episodes tagged with a brand; the podcast's own brand gets every episode.
+export const relatedEpisodes = (slug, list = episodes) => (
+  slug === podcast.brand ? list : list.filter((episode) => (episode.brands || []).includes(slug))
+);
+
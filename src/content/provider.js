@@ -0,0 +1,122 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { getApiBase, getJSON, getText } from "../lib/api.js";
+import { parsePodcastFeed, mergeEpisodes } from "../lib/rss.js";
+import { validateCollection } from "./schema.js";
+import { brands, episodes, events, press, hero } from "./index.js";
+
+// Runtime content from the headless CMS behind VITE_API_BASE, served as
+// GET /api/content/<collection>. Stale-while-revalidate: whatever we have
+// (localStorage cache, else the bundled copy) renders immediately and a
+// background fetch refreshes it once older than MAX_AGE. Server renders and
+// hydration always use the bundled copy so prerendered markup matches.
+const MAX_AGE = 5 * 60 * 1000;
+const cacheKey = (name) => `angelk:content:${name}`;
+
+// The episodes endpoint may instead proxy the show's RSS feed; XML bodies are
+// parsed and merged over the bundled list so our tags and brand links survive.
+const loadEpisodes = async (path) => {
+  const { ok, text, headers } = await getText(path, { headers: { Accept: 'application/json, application/rss+xml' } });
+  if (!ok) return { ok, data: null };
+  if (/xml/i.test(headers.get('Content-Type') || '') || text.trimStart().startsWith('<')) {
+    try {
+      return { ok, data: mergeEpisodes(episodes, parsePodcastFeed(text).episodes) };
+    } catch {
+      return { ok: false, data: null };
+    }
+  }
+  try { return { ok, data: JSON.parse(text) }; } catch { return { ok: false, data: null }; }
+};
+
+export const COLLECTIONS = {
+  brands: { schema: 'brand', fallback: brands },
+  episodes: { schema: 'episode', fallback: episodes, load: loadEpisodes },
+  events: { schema: 'event', fallback: events },
+  press: { schema: 'pressLogo', fallback: press },
+  hero: { schema: 'hero', fallback: hero },
+};
+
+// Host-page overrides (window.__HERO_TITLE etc.) beat both the CMS and the bundle.
+const runtimeOverrides = (name) => {
+  if (name !== 'hero' || typeof window === 'undefined') return null;
+  const overrides = {
+    title: window.__HERO_TITLE,
+    subtitle: window.__HERO_SUBTITLE,
+    image: window.__HERO_IMAGE,
+    video: window.__HERO_VIDEO,
+  };
+  return Object.fromEntries(Object.entries(overrides).filter(([, value]) => value));
+};
+
+const withOverrides = (name, data) => {
+  const overrides = runtimeOverrides(name);
+  return overrides && Object.keys(overrides).length ? { ...data, ...overrides } : data;
+};
+
+const entries = new Map(); // name → { data, fetchedAt }
+const inflight = new Map();
+const listeners = new Map(); // name → Set<listener>
+
+const readCache = (name) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(cacheKey(name)) || 'null');
+    if (cached && !validateCollection(COLLECTIONS[name].schema, cached.data).length) return cached;
+  } catch { /* unreadable cache: fall back to the bundle */ }
+  return null;
+};
+
+const entryFor = (name) => {
+  if (!entries.has(name)) {
+    const cached = readCache(name);
+    entries.set(name, {
+      data: withOverrides(name, cached ? cached.data : COLLECTIONS[name].fallback),
+      fetchedAt: cached ? cached.fetchedAt : 0,
+    });
+  }
+  return entries.get(name);
+};
+
+const notify = (name) => (listeners.get(name) || new Set()).forEach((listener) => listener());
+
+// Fetch a collection now (deduplicated). Invalid or failed responses keep the
+// current data, so an outage or a bad CMS edit never blanks a section.
+export function revalidateContent(name) {
+  if (!getApiBase()) return Promise.resolve(entryFor(name).data);
+  if (inflight.has(name)) return inflight.get(name);
+  const load = COLLECTIONS[name].load || getJSON;
+  const request = load(`/api/content/${name}`)
+    .then(({ ok, data }) => {
+      if (!ok || validateCollection(COLLECTIONS[name].schema, data).length) return entryFor(name).data;
+      const fetchedAt = Date.now();
+      try { localStorage.setItem(cacheKey(name), JSON.stringify({ data, fetchedAt })); } catch { /* storage full */ }
+      entries.set(name, { data: withOverrides(name, data), fetchedAt });
+      notify(name);
+      return entries.get(name).data;
+    })
+    .catch(() => entryFor(name).data)
+    .finally(() => inflight.delete(name));
+  inflight.set(name, request);
+  return request;
+}
+
+const isStale = (name) => Date.now() - entryFor(name).fetchedAt > MAX_AGE;
+
+const subscribe = (name) => (listener) => {
+  if (!listeners.has(name)) listeners.set(name, new Set());
+  listeners.get(name).add(listener);
+  return () => listeners.get(name).delete(listener);
+};
+const subscribers = Object.fromEntries(Object.keys(COLLECTIONS).map((name) => [name, subscribe(name)]));
+
+// Current data for a collection: 'brands' | 'episodes' | 'events' | 'press' | 'hero'.
+export function useContent(name) {
+  if (!COLLECTIONS[name]) throw new Error(`Unknown content collection "${name}"`);
+  const data = useSyncExternalStore(
+    subscribers[name],
+    () => entryFor(name).data,
+    () => COLLECTIONS[name].fallback,
+  );
+  useEffect(() => {
+    if (isStale(name)) revalidateContent(name);
+  }, [name]);
+  return data;
+}
@@ -0,0 +1,198 @@
+import { isTimeZone } from "../lib/time.js";
+
+// Schema for the JSON files in src/content. validateContent runs at build start
+// (see vite.config.ts) and in the dev checks, so a missing field or two
+// entries disagreeing about a URL fails loudly instead of shipping.
+const checks = {
+  string: (v) => typeof v === 'string' && v.trim() !== '',
+  slug: (v) => typeof v === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(v),
+  url: (v) => typeof v === 'string' && /^https:\/\/[^\s/]+\.[^\s]+$/.test(v),
+  path: (v) => typeof v === 'string' && /^\/\S*$/.test(v),
+  asset: (v) => checks.url(v) || checks.path(v),
+  isoDate: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  duration: (v) => typeof v === 'string' && /^(?:\d+:)?[0-5]?\d:[0-5]\d$/.test(v),
+  // Local wall-clock "2026-11-14" (all day) or "2026-11-14T19:30", read in the entry's timezone
+  dateTime: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}(?:T[0-2]\d:[0-5]\d)?$/.test(v) && !Number.isNaN(Date.parse(v.slice(0, 10))),
+  timezone: (v) => isTimeZone(v),
+  boolean: (v) => typeof v === 'boolean',
+  positiveInt: (v) => Number.isInteger(v) && v > 0,
+  strings: (v) => Array.isArray(v) && v.every((item) => checks.string(item)),
+  slugs: (v) => Array.isArray(v) && v.every((item) => checks.slug(item)),
+  link: (v) => !!v && checks.string(v.label) && (checks.url(v.url) || checks.path(v.url)),
+  gallery: (v) => Array.isArray(v) && v.every((image) => image && checks.asset(image.src) && checks.string(image.alt)),
+  cohorts: (v) => Array.isArray(v) && v.every((cohort) => cohort && checks.isoDate(cohort.start) && (cohort.location === undefined || checks.string(cohort.location))),
+  // Press-kit downloads: one file per format/size, e.g. { label: 'On dark', format: 'svg', width: 960, height: 200, src }
+  variants: (v) => Array.isArray(v) && v.length > 0 && v.every((variant) => variant
+    && checks.string(variant.label) && checks.slug(variant.format) && checks.asset(variant.src)
+    && [variant.width, variant.height].every((n) => n === undefined || (Number.isInteger(n) && n > 0))),
+  // Legal text (legal.json): paragraphs are strings, lists are { items } of strings or { label, text }
+  legalBlocks: (v) => Array.isArray(v) && v.length > 0 && v.every((block) => checks.string(block) || (block
+    && Array.isArray(block.items) && block.items.length > 0
+    && block.items.every((item) => checks.string(item) || (item && checks.string(item.label) && checks.string(item.text))))),
+  legalSections: (v) => Array.isArray(v) && v.length > 0 && v.every((section) => section
+    && checks.slug(section.id) && checks.string(section.title) && checks.legalBlocks(section.body)),
+};
+
+// Field → check name; a trailing "?" marks the field optional.
+export const SCHEMAS = {
+  brand: {
+    slug: 'slug', name: 'string', url: 'url', blurb: 'string', featured: 'boolean?',
+    // Detail page (/brands/:slug); sections without data are left out
+    description: 'string?', highlights: 'strings?', gallery: 'gallery?', cta: 'link?',
+  },
+  show: {
+    title: 'string', brand: 'slug', url: 'url', subscribeUrl: 'url', episodesUrl: 'url',
+    description: 'string', language: 'string', author: 'string', feedPath: 'path',
+  },
+  episode: {
+    slug: 'slug', title: 'string', date: 'isoDate', duration: 'duration', brands: 'slugs?',
+    // Episode page (/media/podcast/:slug); the player only appears with an audioUrl
+    description: 'string?', notes: 'strings?', tags: 'strings?', audioUrl: 'url?',
+    // Set by RSS ingestion (src/lib/rss.js) when the feed has per-episode art
+    artwork: 'asset?',
+  },
+  program: {
+    slug: 'slug', title: 'string', description: 'string', duration: 'string', level: 'string', brand: 'slug', url: 'url',
+    // Catalog (/brgr) and program pages; filters and sections without data are left out
+    format: 'string?', cohorts: 'cohorts?', outcomes: 'strings?', prerequisites: 'string?',
+  },
+  event: {
+    slug: 'slug', title: 'string', brand: 'slug', city: 'string', start: 'dateTime', timezone: 'timezone',
+    // Detail page (/events/:slug); `end` is inclusive for all-day events
+    end: 'dateTime?', venue: 'string?', address: 'string?', description: 'string?', url: 'url?',
+  },
+  social: { network: 'slug', label: 'string', url: 'url' },
+  pressLogo: { name: 'string', logo: 'asset?', url: 'url?' },
+  hero: { title: 'string?', subtitle: 'string?', image: 'asset?', video: 'asset?' },
+  // presskit.json (Media page)
+  bios: { short: 'string', medium: 'string', long: 'string' },
+  pressAsset: { id: 'slug', title: 'string', alt: 'string', variants: 'variants' },
+  topic: { title: 'string', description: 'string' },
+  mention: { outlet: 'string', title: 'string', date: 'isoDate', url: 'url' },
+  // legal.json: one entry per document, versions oldest first. A section `id` is its anchor
+  // (/privacy#data-sharing), so keep it when a section is reworded.
+  legalDocument: { title: 'string' },
+  legalVersion: { version: 'positiveInt', effective: 'isoDate', summary: 'string', intro: 'string?', sections: 'legalSections' },
+};
+
+const checkEntry = (schemaName, entry, where) => {
+  if (!entry || typeof entry !== 'object') return [`${where}: expected an object`];
+  return Object.entries(SCHEMAS[schemaName]).flatMap(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const check = checks[spec.replace('?', '')];
+    const value = entry[field];
+    if (value === undefined || value === null || value === '') return optional ? [] : [`${where}: missing "${field}"`];
+    return check(value) ? [] : [`${where}: "${field}" is not a valid ${spec.replace('?', '')} (${JSON.stringify(value)})`];
+  });
+};
+
+const checkList = (schemaName, list, file) => {
+  if (!Array.isArray(list)) return [`${file}: expected an array`];
+  return list.flatMap((entry, i) => checkEntry(schemaName, entry, `${file}[${i}]${entry && entry.slug ? ` (${entry.slug})` : ''}`));
+};
+
+const duplicates = (list, key, file) => {
+  const seen = new Map();
+  return list.flatMap((entry, i) => {
+    const value = typeof key === 'function' ? key(entry) : entry[key];
+    if (value === undefined) return [];
+    if (seen.has(value)) return [`${file}[${i}]: duplicate ${typeof key === 'string' ? key : 'value'} ${JSON.stringify(value)} (also at [${seen.get(value)}])`];
+    seen.set(value, i);
+    return [];
+  });
+};
+
+// Host without "www." so foreverdocs.io and www.foreverdocs.org compare sensibly.
+const hostOf = (url) => {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
+};
+
+// A reference to a brand must point at that brand's site.
+const checkBrandRef = (brands, ref, url, where) => {
+  const brand = brands.find((b) => b.slug === ref);
+  if (!brand) return [`${where}: unknown brand "${ref}"`];
+  return hostOf(url) === hostOf(brand.url) ? [] : [`${where}: URL ${url} conflicts with brand "${ref}" (${brand.url})`];
+};
+
+// Shape check for one collection (a list or a single object), e.g. runtime CMS responses.
+export const validateCollection = (schemaName, data, label = schemaName) => (
+  Array.isArray(data) ? checkList(schemaName, data, label) : checkEntry(schemaName, data, label)
+);
+
+const checkPresskit = (presskit) => [
+  ...checkEntry('bios', presskit.bios, 'presskit.json bios'),
+  ...checkList('pressAsset', presskit.headshots, 'presskit.json headshots'),
+  ...checkList('pressAsset', presskit.logos, 'presskit.json logos'),
+  ...checkList('topic', presskit.topics, 'presskit.json topics'),
+  ...checkList('mention', presskit.mentions, 'presskit.json mentions'),
+];
+
+const checkLegal = (legal) => Object.entries(legal).flatMap(([key, doc]) => [
+  ...checkEntry('legalDocument', doc, `legal.json ${key}`),
+  ...(doc && Array.isArray(doc.versions) && doc.versions.length === 0
+    ? [`legal.json ${key}: needs at least one version`]
+    : checkList('legalVersion', doc && doc.versions, `legal.json ${key}.versions`)),
+]);
+
+// Versions are numbered 1, 2, 3… in order and never take effect before the previous one.
+const checkLegalHistory = (legal) => Object.entries(legal).flatMap(([key, doc]) => doc.versions.flatMap((version, i) => [
+  ...(version.version === i + 1 ? [] : [`legal.json ${key}.versions[${i}]: expected version ${i + 1}, got ${version.version}`]),
+  ...(i > 0 && version.effective < doc.versions[i - 1].effective
+    ? [`legal.json ${key}.versions[${i}]: effective ${version.effective} is before version ${i} (${doc.versions[i - 1].effective})`] : []),
+  ...duplicates(version.sections, 'id', `legal.json ${key}.versions[${i}].sections`),
+]));
+
+// Returns a list of human-readable problems; empty means the content is valid.
+export function validateContent({ brands, podcast, programs, social, press = [], hero = {}, presskit = null, events = [], legal = null }) {
+  const errors = [
+    ...checkList('brand', brands, 'brands.json'),
+    ...checkEntry('show', podcast && podcast.show, 'podcast.json show'),
+    ...checkList('episode', podcast && podcast.episodes, 'podcast.json episodes'),
+    ...checkList('program', programs, 'programs.json'),
+    ...checkList('social', social, 'social.json'),
+    ...checkList('pressLogo', press, 'press.json'),
+    ...checkEntry('hero', hero, 'hero.json'),
+    ...(presskit ? checkPresskit(presskit) : []),
+    ...checkList('event', events, 'events.json'),
+    ...(legal ? checkLegal(legal) : []),
+  ];
+  if (errors.length) return errors;
+
+  return [
+    ...duplicates(brands, 'slug', 'brands.json'),
+    ...duplicates(brands, 'name', 'brands.json'),
+    ...duplicates(brands, (b) => hostOf(b.url), 'brands.json'),
+    ...duplicates(podcast.episodes, 'slug', 'podcast.json episodes'),
+    ...duplicates(programs, 'slug', 'programs.json'),
+    ...duplicates(social, 'network', 'social.json'),
+    ...duplicates(press, 'name', 'press.json'),
+    ...(presskit ? duplicates([...presskit.headshots, ...presskit.logos], 'id', 'presskit.json assets') : []),
+    ...['url', 'subscribeUrl', 'episodesUrl'].flatMap((field) => checkBrandRef(brands, podcast.show.brand, podcast.show[field], `podcast.json show.${field}`)),
+    ...programs.flatMap((program, i) => checkBrandRef(brands, program.brand, program.url, `programs.json[${i}] (${program.slug})`)),
+    ...duplicates(events, 'slug', 'events.json'),
+    ...(legal ? checkLegalHistory(legal) : []),
+    ...events.flatMap((event, i) => [
+      ...(brands.some((brand) => brand.slug === event.brand) ? [] : [`events.json[${i}] (${event.slug}): unknown brand "${event.brand}"`]),
+      ...(event.end && (event.end.length !== event.start.length || event.end < event.start)
+        ? [`events.json[${i}] (${event.slug}): "end" must be the same kind of value as "start" and not before it`] : []),
+    ]),
+    ...podcast.episodes.flatMap((episode, i) => (episode.brands || [])
+      .filter((slug) => !brands.some((brand) => brand.slug === slug))
+      .map((slug) => `podcast.json episodes[${i}] (${episode.slug}): unknown brand "${slug}"`)),
+  ];
+}
+
+// Optional data whose section a page hides while it is empty. Not an error, but
+// the build lists it so a hidden section is not mistaken for a finished one.
+export function contentGaps({ presskit = null, programs = [], events = null, legal = null }) {
+  return [
+    ...Object.entries(legal || {})
+      .filter(([, doc]) => doc.versions.length < 2)
+      .map(([name, doc]) => `legal.json has one ${name} version: /${name} has no changelog to compare`),
+    ...(events && !events.length ? ['events.json is empty: /events lists no events and brand pages show no upcoming events'] : []),
+    ...(!programs.some((program) => program.format) ? ['programs.json has no program formats: /brgr shows no format filter'] : []),
+    ...(!programs.some((program) => (program.cohorts || []).length) ? ['programs.json has no cohorts: /brgr shows no cohort dates or upcoming-cohort filter'] : []),
+    ...(presskit && !presskit.headshots.length ? ['presskit.json has no headshots: the Media page shows no headshot gallery'] : []),
+    ...(presskit && !presskit.mentions.length ? ['presskit.json has no mentions: the Media page shows no press list'] : []),
+  ];
+}
@@ -0,0 +1,270 @@
+import { parsePathFrom, parseLocation, toSearchParams, matchPath, matchRoute, splitLocale, localizePath } from "./router.jsx";
+import { mergeHead } from "./head.jsx";
+import Home, { Hero } from "./pages/Home.jsx";
+import { ROUTES, About, BrandDetail, Episode, BrgrApply, BrgrProgram, Book, EventDetail, NotFound } from "./routes.js";
+import { validateInquiry, buildInquiryPayload, parseRetryAfter, describeSubmitError, buildMailtoLink } from "./lib/contact.js";
+import { retryDelay } from "./lib/outbox.js";
+import { leadingZeroBits, guardSubmission } from "./lib/spam.js";
+import { brands, podcast, episodes, programs, social, relatedEpisodes, presskit, legal } from "./content/index.js";
+import { validateContent, validateCollection } from "./content/schema.js";
+import { filterEpisodes, paginate, adjacentEpisodes } from "./lib/podcast.js";
+import { formatTime } from "./components/Player.jsx";
+import { filterPrograms, programFacets, validateApplicationStep, firstInvalidStep, stepForField, emptyApplication } from "./lib/brgr.js";
+import { monthGrid, normalizeAvailability, dayStatus, emptyBooking, validateBooking, buildBookingPayload } from "./lib/booking.js";
+import { zonedTimeToUtc, todayIn } from "./lib/time.js";
+import { splitEvents, eventFacets, filterEvents, formatEventWhen, buildIcs, foldIcsLine, escapeIcsText } from "./lib/events.js";
+import { crc32, createZip } from "./lib/zip.js";
+import { assetFileName, pressKitFiles, sortMentions } from "./lib/presskit.js";
+import { parsePodcastFeed, parseFeedDuration, parseFeedDate, mergeEpisodes } from "./lib/rss.js";
+import { LOCALES, LOCALE_PREFIXES, localeForPrefix, translate, missingKeys, formatDate } from "./lib/i18n.js";
+import { currentVersion, findVersion, diffLines, diffVersions } from "./lib/legal.js";
+
+/********************
+ * DEV TESTS (added; do not change existing tests)
+ ********************/
+// Loaded lazily by App in development only, so none of this reaches the production bundle.
+export function runDevTests(){
+  if (typeof window === 'undefined' || window.__angelk_tests_ran) return;
+  window.__angelk_tests_ran = true;
+
+  const run = () => {
+    try {
+      // parsePathFrom tests
+      console.assert(parsePathFrom('') === '/', 'parsePathFrom empty → \'/\'');
+      console.assert(parsePathFrom('/privacy') === '/privacy', 'parsePathFrom privacy');
+      console.assert(parsePathFrom('about') === '/about', 'parsePathFrom adds leading slash');
+      console.assert(parsePathFrom('/terms?x=1') === '/terms?x=1', 'parsePathFrom keeps query');
+
+      // Location parsing
+      const loc = parseLocation('/media?tab=press&page=2#kit');
+      console.assert(loc.pathname === '/media', 'parseLocation pathname');
+      console.assert(loc.search === '?tab=press&page=2', 'parseLocation search');
+      console.assert(loc.searchParams.get('page') === '2', 'parseLocation searchParams');
+      console.assert(loc.hash === '#kit', 'parseLocation hash');
+      console.assert(parseLocation('/#foreverdocs').pathname === '/', 'parseLocation hash-only route');
+      console.assert(toSearchParams({ q: 'web3', page: '', tag: null }).toString() === 'q=web3', 'toSearchParams drops empty values');
+
+      // Route matching
+      console.assert(matchPath('/about', '/about') !== null, 'matchPath exact');
+      console.assert(matchPath('/about', '/aboutxyz') === null, 'matchPath rejects partial segment');
+      console.assert(matchPath('/about', '/about/') !== null, 'matchPath ignores trailing slash');
+      console.assert(matchPath('/about', '/about/team') === null, 'matchPath exact rejects subpath');
+      console.assert(matchPath('/about', '/about/team', { exact: false }) !== null, 'matchPath prefix allows subpath');
+      console.assert(matchPath('/brands/:slug', '/brands/forever%20docs').params.slug === 'forever docs', 'matchPath decodes params');
+      console.assert(matchRoute(ROUTES, '/does-not-exist').route.component === NotFound, 'unknown path → NotFound');
+      console.assert(matchRoute(ROUTES, '/').route.component === Home, '/ → Home');
+      console.assert(matchRoute(ROUTES, '/brands/foreverdocs').params.slug === 'foreverdocs', '/brands/:slug → BrandDetail');
+      console.assert(matchRoute(ROUTES, '/brands/foreverdocs').route.component === BrandDetail, 'brand pages use BrandDetail');
+      console.assert(matchRoute(ROUTES, '/media/podcast/defi-explained-yield-farming-strategies').route.component === Episode, 'episode pages use Episode');
+      console.assert(matchRoute(ROUTES, '/brgr/apply').route.component === BrgrApply, '/brgr/apply is not taken for a program slug');
+      console.assert(matchRoute(ROUTES, '/brgr/sql-database-management').route.component === BrgrProgram, 'program pages use BrgrProgram');
+      console.assert(matchRoute(ROUTES, '/book').route.component === Book, '/book → Book');
+      console.assert(matchRoute(ROUTES, '/events/some-night').route.component === EventDetail, 'event pages use EventDetail');
+
+      // Head merging
+      const head = mergeHead([{ title: 'Brands', description: 'route' }, { description: 'page', jsonLd: [{ a: 1 }] }]);
+      console.assert(head.title === 'Brands' && head.description === 'page', 'mergeHead: deeper entries win');
+      console.assert(head.jsonLd.length === 1, 'mergeHead accumulates JSON-LD');
+
+      // Contact inquiries
+      const booking = { type: 'booking', name: 'A', email: 'a@b.co', message: 'Hi', eventLocation: 'ATL', budget: 'Not sure yet' };
+      console.assert(validateInquiry(booking).eventDate === 'Event date is required', 'booking requires an event date');
+      console.assert(!validateInquiry({ ...booking, type: 'general' }).eventDate, 'general ignores booking fields');
+      console.assert(buildInquiryPayload({ ...booking, outlet: 'x' }).details.outlet === undefined, 'payload only carries the type\'s fields');
+
+      console.assert(parseRetryAfter('120') === 120000, 'Retry-After in seconds');
+      console.assert(parseRetryAfter('Thu, 01 Jan 1970 00:01:00 GMT', 0) === 60000, 'Retry-After as HTTP date');
+      const invalid = describeSubmitError({ status: 422, data: { errors: [{ field: 'email', message: 'Bounced' }] } });
+      console.assert(invalid.kind === 'validation' && invalid.fieldErrors.email === 'Bounced', '422 maps onto field errors');
+      console.assert(describeSubmitError({ status: 503, data: null }).kind === 'server', '5xx offers email fallback');
+      console.assert(buildMailtoLink(booking).includes(encodeURIComponent('City or venue: ATL')), 'mailto carries type fields');
+
+      // Outbox backoff
+      console.assert(retryDelay(0, () => 0.5) === 15000, 'first retry after 15s');
+      console.assert(retryDelay(2, () => 0.5) === 60000, 'backoff doubles per attempt');
+      console.assert(retryDelay(20, () => 0.5) === 30 * 60 * 1000, 'backoff is capped');
+
+      // Spam protection
+      console.assert(leadingZeroBits('00f') === 8 && leadingZeroBits('1f') === 3, 'leadingZeroBits counts bits');
+      guardSubmission('__test__', { honeypot: 'http://spam', startedAt: 0 })
+        .then((r) => console.assert(r.reason === 'honeypot', 'filled honeypot is rejected'));
+      guardSubmission('__test__', { honeypot: '', startedAt: Date.now() })
+        .then((r) => console.assert(r.reason === 'too-fast', 'instant submissions are rejected'));
+
+      // Content layer
+      const content = { brands, podcast: { show: podcast, episodes }, programs, social };
+      console.assert(validateContent(content).length === 0, 'bundled content is valid');
+      const forked = { ...content, brands: brands.concat({ slug: 'foreverdocs-old', name: 'ForeverDocs (old)', url: 'https://www.foreverdocs.io', blurb: 'Old site' }) };
+      console.assert(validateContent(forked).some((e) => e.includes('duplicate')), 'two brands on one host are rejected');
+      console.assert(validateContent({ ...content, social: [{ network: 'x', label: 'X' }] })[0].includes('missing "url"'), 'missing fields are rejected');
+
+      console.assert(validateCollection('pressLogo', [{ name: 'Blavity', logo: '/press/blavity.svg' }]).length === 0, 'CMS press logos validate');
+      console.assert(validateCollection('episode', [{ slug: 'x', title: 'X' }]).length === 2, 'CMS payloads missing fields are rejected');
+
+      console.assert(relatedEpisodes(podcast.brand).length === episodes.length, 'the podcast brand lists every episode');
+      console.assert(relatedEpisodes('brgr-collective').every((ep) => ep.brands.includes('brgr-collective')), 'brands list only tagged episodes');
+
+      // Podcast archive
+      console.assert(filterEpisodes(episodes, { q: 'DEFI yield' }).length === 1, 'search matches every word, case-insensitively');
+      console.assert(filterEpisodes(episodes, { tag: 'travel' })[0].slug === 'atl-to-jozi-building-global-communities', 'tag filter');
+      console.assert(filterEpisodes(episodes)[0].date >= filterEpisodes(episodes)[1].date, 'newest episode first');
+      const pages = paginate(Array.from({ length: 25 }, (_, i) => i), '9', 10);
+      console.assert(pages.page === 3 && pages.pageCount === 3 && pages.items.length === 5, 'paginate clamps to the last page');
+      console.assert(adjacentEpisodes(episodes, 'women-in-web3-breaking-barriers').newer === null, 'latest episode has no newer neighbour');
+      console.assert(formatTime(3725) === '1:02:05' && formatTime(65) === '1:05', 'formatTime');
+
+      // RSS ingestion
+      console.assert(parseFeedDuration('2304') === '38:24' && parseFeedDuration('62:05') === '1:02:05' && parseFeedDuration('soon') === null, 'itunes:duration forms normalise');
+      console.assert(parseFeedDate('Wed, 10 Sep 2025 22:00:00 -0500') === '2025-09-10', 'pubDate keeps the published calendar day');
+      const feed = parsePodcastFeed(`<rss xmlns:itunes="x"><channel><title>Show</title>
+        <item><title><![CDATA[MS &amp; Entrepreneurship: My Journey]]></title><pubDate>Wed, 27 Aug 2025 07:00:00 GMT</pubDate>
+          <itunes:duration>3372</itunes:duration><enclosure url="https://cdn.test/ms.mp3" type="audio/mpeg"/></item>
+        <item><title>No date</title></item>
+        <item><title>Plain http</title><pubDate>2025-08-01</pubDate><itunes:duration>10:00</itunes:duration><enclosure url="http://cdn.test/a.mp3"/>`);
+      console.assert(feed.episodes.length === 2 && feed.episodes[0].slug === 'ms-and-entrepreneurship-my-journey', 'feed items map onto episode slugs; undated items are skipped, truncated ones still parse');
+      console.assert(feed.episodes[0].duration === '56:12' && feed.episodes[0].audioUrl === 'https://cdn.test/ms.mp3', 'duration + enclosure');
+      console.assert(!feed.episodes[1] || !feed.episodes[1].audioUrl, 'non-https enclosures are dropped');
+      let notFeed = false;
+      try { parsePodcastFeed('<html></html>'); } catch { notFeed = true; }
+      console.assert(notFeed, 'non-RSS documents are rejected');
+      const merged = mergeEpisodes(episodes, feed.episodes);
+      console.assert(merged.find((ep) => ep.slug === 'ms-and-entrepreneurship-my-journey').tags.includes('health'), 'feed merge keeps hand-added tags');
+      console.assert(!validateCollection('episode', merged).length, 'merged feed episodes fit the episode schema');
+
+      // BRGR catalog + application
+      console.assert(filterPrograms(programs, { level: 'Intermediate' }).map((p) => p.slug).join() === 'sql-database-management', 'level filter');
+      console.assert(filterPrograms(programs)[0].level === 'Beginner', 'catalog sorts by level');
+      const cohortProgram = { ...programs[0], cohorts: [{ start: '2000-01-01' }, { start: '2999-02-01' }] };
+      console.assert(filterPrograms([cohortProgram, programs[1]], { upcoming: true }).length === 1, 'upcoming filter skips past and missing cohorts');
+      console.assert(programFacets(programs).formats.length === 0 && programFacets(programs).levels.length === 3, 'facets come from data');
+      console.assert(validateApplicationStep('program', emptyApplication(), programs).program, 'program step needs a program');
+      console.assert(validateApplicationStep('eligibility', { ...emptyApplication(), adult: 'No', device: 'Yes', hours: '15+', experience: 'None yet' }, programs).adult, 'under-18 applicants cannot continue');
+      console.assert(firstInvalidStep(emptyApplication(programs[0].slug), programs) === 'eligibility', 'first incomplete step');
+      console.assert(stepForField('email') === 'about' && stepForField('adult') === 'eligibility', 'server errors map back to steps');
+
+      // Booking requests
+      const grid = monthGrid('2026-11');
+      console.assert(grid[0][0] === '2026-11-01' && grid.length === 5 && grid.every((week) => week.length === 7), 'month grid starts on Sunday');
+      console.assert(monthGrid('2026-10')[0].slice(0, 4).every((day) => day === null), 'month grid pads leading days');
+      console.assert(zonedTimeToUtc('2026-11-04', '19:00', 'America/New_York').toISOString() === '2026-11-05T00:00:00.000Z', 'Atlanta wall time → UTC (EST)');
+      console.assert(zonedTimeToUtc('2026-07-04', '19:00', 'America/New_York').toISOString() === '2026-07-04T23:00:00.000Z', 'Atlanta wall time → UTC (EDT)');
+      console.assert(zonedTimeToUtc('2026-11-04', '19:00', 'Africa/Johannesburg').toISOString() === '2026-11-04T17:00:00.000Z', 'Johannesburg wall time → UTC');
+      console.assert(todayIn('Africa/Johannesburg', new Date('2026-11-04T23:30:00Z')) === '2026-11-05', 'today depends on the zone');
+      const availability = normalizeAvailability({ dates: [{ date: '2026-11-04', status: 'blocked' }, { date: '2026-11-05', status: 'maybe' }, { date: 'soon', status: 'available' }] });
+      console.assert(Object.keys(availability).length === 1, 'unknown statuses and bad dates are dropped');
+      console.assert(dayStatus('2026-11-04', availability, '2026-10-01') === 'blocked' && dayStatus('2026-11-06', availability, '2026-10-01') === 'unknown', 'day status');
+      console.assert(dayStatus('2026-09-30', availability, '2026-10-01') === 'past', 'past days');
+      const bookingForm = { ...emptyBooking(), eventType: 'Keynote', format: 'Virtual', audienceSize: 'Under 50', date: '2026-11-04', startTime: '19:00', organization: 'Org', name: 'A', email: 'a@b.co' };
+      console.assert(Object.keys(validateBooking(bookingForm, { availability: {}, today: '2026-10-01' })).length === 0, 'virtual bookings need no location');
+      console.assert(validateBooking(bookingForm, { availability, today: '2026-10-01' }).date, 'blocked dates cannot be requested');
+      console.assert(validateBooking({ ...bookingForm, format: 'In person' }, { today: '2026-10-01' }).location, 'in-person bookings need a location');
+      console.assert(buildBookingPayload(bookingForm).startsAt === '2026-11-05T00:00:00.000Z' && buildBookingPayload(bookingForm).location === null, 'booking payload carries the UTC start');
+
+      // Events
+      const sampleEvents = [
+        { slug: 'talk', title: 'Talk', brand: 'from-the-block', city: 'Atlanta', start: '2026-11-12T18:30', timezone: 'America/New_York' },
+        { slug: 'trip', title: 'Trip, ATL; JHB', brand: 'safesafari-journeys', city: 'Johannesburg', start: '2027-03-14', end: '2027-03-21', timezone: 'Africa/Johannesburg' },
+        { slug: 'night', title: 'Night', brand: 'euphoria-yoh-underground', city: 'Johannesburg', start: '2026-06-20T21:00', timezone: 'Africa/Johannesburg' },
+      ];
+      console.assert(validateContent({ ...content, events: sampleEvents }).length === 0, 'sample events are valid');
+      console.assert(validateContent({ ...content, events: [{ ...sampleEvents[0], end: '2026-11-12' }] }).length === 1, 'event end must match start');
+      const eventSplit = splitEvents(sampleEvents, new Date('2026-11-12T23:45:00Z'));
+      console.assert(eventSplit.upcoming.map((e) => e.slug).join() === 'talk,trip' && eventSplit.past[0].slug === 'night', 'running events still count as upcoming');
+      console.assert(splitEvents(sampleEvents, new Date('2026-11-13T01:31:00Z')).upcoming[0].slug === 'trip', 'timed events default to two hours');
+      console.assert(eventFacets(sampleEvents).cities.join() === 'Atlanta,Johannesburg', 'event cities are unique and sorted');
+      console.assert(filterEvents(sampleEvents, { city: 'Johannesburg', brand: 'safesafari-journeys' }).length === 1, 'event filters combine');
+      console.assert(formatEventWhen(sampleEvents[1]).replace(/\s+/g, ' ') === 'Mar 14 – 21, 2027', 'multi-day events show a range');
+      const ics = buildIcs(sampleEvents.slice(0, 2), { siteUrl: 'https://angelkellogg.com', now: new Date('2026-10-01T00:00:00Z') });
+      console.assert(ics.includes('DTSTART:20261112T233000Z\r\nDTEND:20261113T013000Z'), 'timed events are written in UTC');
+      console.assert(ics.includes('DTEND;VALUE=DATE:20270322'), 'all-day end date is exclusive');
+      console.assert(ics.includes('SUMMARY:Trip\\, ATL\\; JHB') && ics.endsWith('END:VCALENDAR\r\n'), 'ics text is escaped and CRLF-terminated');
+      console.assert(escapeIcsText('a\nb') === 'a\\nb', 'ics escapes newlines');
+      console.assert(foldIcsLine('x'.repeat(160)).split('\r\n ').every((line, i) => line.length <= (i ? 74 : 75)), 'ics lines fold at 75 octets');
+
+      // Press kit
+      console.assert(validateContent({ ...content, presskit }).length === 0, 'presskit.json is valid');
+      console.assert(crc32(new TextEncoder().encode('123456789')) === 0xcbf43926, 'crc32 check value');
+      const zip = createZip([{ name: 'a.txt', data: new TextEncoder().encode('hi') }]);
+      const zipView = new DataView(zip.buffer);
+      console.assert(zipView.getUint32(0, true) === 0x04034b50 && zipView.getUint32(zip.length - 22, true) === 0x06054b50, 'zip has local header and end record');
+      console.assert(zipView.getUint16(zip.length - 12, true) === 1, 'zip end record counts entries');
+      console.assert(assetFileName('logos', { id: 'wordmark' }, { label: 'On dark', format: 'svg', width: 960, height: 200 }) === 'logos/wordmark-on-dark-960x200.svg', 'press asset file names');
+      console.assert(new Set(pressKitFiles(presskit).map((file) => file.name)).size === pressKitFiles(presskit).length, 'press kit file names are unique');
+      console.assert(sortMentions([{ date: '2024-01-01' }, { date: '2025-01-01' }])[0].date === '2025-01-01', 'mentions newest first');
+
+      // i18n + locale routing
+      console.assert(splitLocale('/es/about', LOCALE_PREFIXES).locale === 'es' && splitLocale('/es/about', LOCALE_PREFIXES).pathname === '/about', 'locale prefix is split off');
+      console.assert(splitLocale('/es', LOCALE_PREFIXES).pathname === '/' && splitLocale('/essays', LOCALE_PREFIXES).locale === '', 'prefix must be a whole segment');
+      console.assert(localizePath('/about?x=1#top', 'za', LOCALE_PREFIXES) === '/za/about?x=1#top', 'localizePath keeps search and hash');
+      console.assert(localizePath('/es/about', '', LOCALE_PREFIXES) === '/about' && localizePath('/', 'es', LOCALE_PREFIXES) === '/es', 'localizePath swaps and drops prefixes');
+      const es = localeForPrefix('es');
+      console.assert(missingKeys(es).length === 0, 'Spanish catalog covers every English key');
+      console.assert(translate(localeForPrefix('za'), 'nav.about') === 'About', 'partial catalogs fall back to English');
+      console.assert(translate(es, 'no.such.key') === 'no.such.key', 'unknown keys render as the key');
+      console.assert(translate(es, 'time.minutes', { count: 1 }) === '1 minuto' && translate(es, 'time.minutes', { count: 3 }) === '3 minutos', 'plural forms');
+      console.assert(validateInquiry(booking, (key, vars) => translate(es, key, vars)).eventDate === 'Fecha del evento: este campo es obligatorio', 'validation messages are translated');
+      console.assert(formatDate(localeForPrefix('za'), '2025-09-10') !== formatDate(LOCALES[0], '2025-09-10'), 'dates follow the locale');
+
+      // Legal documents
+      console.assert(validateContent({ ...content, legal }).length === 0, 'legal.json is valid');
+      const policyV1 = legal.privacy.versions[0];
+      const policyV2 = {
+        ...policyV1,
+        version: 2,
+        effective: '2099-01-01',
+        summary: 'Test',
+        sections: [{ id: 'new', title: 'New', body: ['Added.'] }, ...policyV1.sections.slice(1, -1).map((section, i) => (i ? section : { ...section, title: 'Renamed' }))],
+      };
+      const policy = { title: 'Policy', versions: [policyV1, policyV2] };
+      console.assert(currentVersion(policy) === policyV2 && findVersion(policy, '1') === policyV1 && !findVersion(policy, 3), 'legal versions');
+      const policyDiff = diffVersions(policyV1, policyV2);
+      console.assert(policyDiff[1].id === 'new' && policyDiff[1].status === 'added', 'new sections are marked added');
+      console.assert(policyDiff[2].status === 'changed' && policyDiff.slice(3, -2).every((section) => section.status === 'same'), 'sections match by id, not position');
+      console.assert(policyDiff.slice(-2).map((section) => section.status).join() === 'removed,removed', 'dropped sections come last');
+      console.assert(diffLines(['a', 'b', 'c'], ['a', 'c', 'd']).map((line) => line.type[0]).join('') === 'srsa', 'line diff');
+      console.assert(validateContent({ ...content, legal: { privacy: { ...policy, versions: [policyV2, policyV1] } } }).some((e) => e.includes('expected version 1')), 'versions must be numbered in order');
+
+      // Component presence
+      console.assert(typeof Home === 'function', 'Home is a function');
+      console.assert(typeof Hero === 'function', 'Hero is a function');
+      console.assert(typeof About === 'function', 'About is a lazy-loaded function');
+
+      // Router available
+      if (!window.__router || typeof window.__router.navigate !== 'function') {
+        throw new Error('__router not ready');
+      }
+
+      const prev = window.location.pathname + window.location.search + window.location.hash;
+      window.__router.navigate('/__test__');
+      console.assert(window.location.pathname.endsWith('/__test__'), 'navigate updates window.location');
+      console.assert(window.__router.route === '/__test__', 'navigate updates internal route');
+
+      // Normalization + idempotence
+      window.__router.navigate('about');
+      console.assert(window.location.pathname.endsWith('/about'), 'navigate normalizes missing slash');
+      window.__router.navigate('/about');
+      console.assert(window.__router.route === '/about', 'idempotent navigate');
+
+      // Navigate to policy pages and assert
+      window.__router.navigate('/privacy');
+      console.assert(window.__router.route === '/privacy', 'navigate to /privacy');
+      window.__router.navigate('/terms');
+      console.assert(window.__router.route === '/terms', 'navigate to /terms');
+
+      // Restore
+      window.history.replaceState({}, '', prev);
+      window.dispatchEvent(new Event('popstate'));
+
+      console.log('%cAngelK dev tests passed', 'color:#0f0;padding:2px 6px;border:1px solid #0f0;border-radius:4px');
+    } catch (e) {
+      if (!run._retries) run._retries = 0;
+      if (run._retries < 20) {
+        run._retries++;
+        return setTimeout(run, 50);
+      }
+      console.error('AngelK dev tests failed', e);
+    }
+  };
+
+  run();
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import { Writable } from "node:stream";
+import { renderToPipeableStream } from "react-dom/server";
+import App from "./App.jsx";
+import { createHeadManager, renderHeadToString } from "./head.jsx";
+import { matchRoute, parseLocation, splitLocale, localizePath } from "./router.jsx";
+import { ROUTES } from "./routes.js";
+import { LOCALE_PREFIXES, localeForPrefix } from "./lib/i18n.js";
+
+export { SITE } from "./head.jsx";
+export { podcast, episodes } from "./content/index.js";
+
+// Every concrete path worth prerendering: static routes as-is, param routes via
+// their optional `staticPaths()` list, each under every locale prefix. The
+// catch-all is rendered separately as 404.html.
+export async function getPrerenderPaths() {
+  const paths = [];
+  for (const route of ROUTES) {
+    if (route.path === '*') continue;
+    if (route.path.includes(':')) {
+      if (route.staticPaths) paths.push(...(await route.staticPaths()));
+    } else {
+      paths.push(route.path);
+    }
+  }
+  const unique = Array.from(new Set(paths));
+  return [...unique, ...LOCALE_PREFIXES.flatMap((prefix) => unique.map((path) => localizePath(path, prefix)))];
+}
+
+// Prerendered paths minus anything a route marks as noindex.
+export async function getSitemapPaths() {
+  const paths = await getPrerenderPaths();
+  return paths.filter((path) => {
+    const match = matchRoute(ROUTES, splitLocale(path, LOCALE_PREFIXES).pathname);
+    return !(match && match.route.head && match.route.head.robots);
+  });
+}
+
+// Render a URL to markup once every lazy page and Suspense boundary has resolved.
+// `lang` is the page locale's tag for <html lang>.
+export function render(url) {
+  const headManager = createHeadManager();
+  return new Promise((resolve, reject) => {
+    let html = '';
+    const sink = new Writable({
+      write(chunk, _encoding, callback) {
+        html += chunk.toString();
+        callback();
+      },
+    });
+    const lang = localeForPrefix(splitLocale(parseLocation(url).pathname, LOCALE_PREFIXES).locale).tag;
+    sink.on('finish', () => resolve({ html, head: renderHeadToString(headManager.resolve()), lang }));
+
+    const { pipe } = renderToPipeableStream(<App url={url} headManager={headManager} />, {
+      onAllReady() { pipe(sink); },
+      onShellError: reject,
+      onError: reject,
+    });
+  });
+}
@@ -0,0 +1,216 @@
+import React, { useContext, useEffect, useMemo, useState, createContext } from "react";
+import { podcast, social } from "./content/index.js";
+
+/********************
+ * DOCUMENT HEAD
+ ********************/
+export const SITE = {
+  name: 'Angel Kellogg',
+  tagline: 'Builder • Creator • Strategist',
+  description: 'Angel Kellogg — Builder • Creator • Strategist',
+  url: (import.meta.env.VITE_SITE_URL || 'https://angelkellogg.com').replace(/\/+$/, ''),
+  image: import.meta.env.VITE_OG_IMAGE || '',
+  twitter: '@angelkellogg',
+  sameAs: social.map((profile) => profile.url),
+};
+
+export const absoluteUrl = (path = '/') => (/^https?:\/\//.test(path) ? path : `${SITE.url}${path.startsWith('/') ? path : `/${path}`}`);
+
+// Structured data builders for the JSON-LD blocks pages attach via useHead.
+export const jsonLd = {
+  person: () => ({
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: SITE.name,
+    url: SITE.url,
+    description: SITE.tagline,
+    sameAs: SITE.sameAs,
+  }),
+  organization: ({ name, url, description }) => ({
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name,
+    url,
+    ...(description ? { description } : {}),
+    founder: { '@type': 'Person', name: SITE.name, url: SITE.url },
+  }),
+  podcastSeries: ({ name, url, description, webFeed }) => ({
+    '@context': 'https://schema.org',
+    '@type': 'PodcastSeries',
+    name,
+    url,
+    ...(description ? { description } : {}),
+    ...(webFeed ? { webFeed } : {}),
+    author: { '@type': 'Person', name: SITE.name, url: SITE.url },
+  }),
+  course: ({ name, description, level, provider }) => ({
+    '@context': 'https://schema.org',
+    '@type': 'Course',
+    name,
+    description,
+    ...(level ? { educationalLevel: level } : {}),
+    provider: { '@type': 'Organization', name: provider.name, url: provider.url },
+  }),
+  event: ({ name, url, startDate, endDate, description, venue, address, city, organizer }) => ({
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name,
+    url,
+    startDate,
+    endDate,
+    ...(description ? { description } : {}),
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: {
+      '@type': 'Place',
+      name: venue || city,
+      address: { '@type': 'PostalAddress', ...(address ? { streetAddress: address } : {}), addressLocality: city },
+    },
+    organizer: { '@type': 'Organization', name: organizer.name, url: organizer.url },
+  }),
+  podcastEpisode: ({ name, url, datePublished, description, audioUrl, series }) => ({
+    '@context': 'https://schema.org',
+    '@type': 'PodcastEpisode',
+    name,
+    url,
+    datePublished,
+    ...(description ? { description } : {}),
+    ...(audioUrl ? { associatedMedia: { '@type': 'MediaObject', contentUrl: audioUrl } } : {}),
+    partOfSeries: { '@type': 'PodcastSeries', name: series.title, url: series.url },
+  }),
+};
+
+// Later (deeper) entries override earlier ones field by field; JSON-LD blocks accumulate.
+export const mergeHead = (entries) => entries.reduce((merged, entry) => {
+  const { jsonLd: blocks, ...rest } = entry || {};
+  Object.keys(rest).forEach((key) => { if (rest[key] !== undefined) merged[key] = rest[key]; });
+  if (blocks) merged.jsonLd = merged.jsonLd.concat(blocks);
+  return merged;
+}, { jsonLd: [] });
+
+// `tagline` is the page locale's version of SITE.tagline.
+const formatTitle = (title, tagline = SITE.tagline) => (title ? `${title} | ${SITE.name}` : `${SITE.name} — ${tagline}`);
+
+// Flatten a merged head into tag descriptors, shared by the DOM writer and
+// the string renderer used for prerendering.
+export const headTags = (head) => {
+  const title = formatTitle(head.title, head.tagline);
+  const description = head.description || (head.tagline ? `${SITE.name} — ${head.tagline}` : SITE.description);
+  const url = head.path ? absoluteUrl(head.path) : '';
+  const image = head.image ? absoluteUrl(head.image) : SITE.image;
+  const tags = [];
+  const meta = (attr, key, content) => {
+    if (content) tags.push({ tag: 'meta', attrs: { [attr]: key, content } });
+  };
+
+  meta('name', 'description', description);
+  meta('name', 'robots', head.robots);
+  if (url && !head.robots) {
+    tags.push({ tag: 'link', attrs: { rel: 'canonical', href: url } });
+    (head.alternates || []).forEach(({ hreflang, path }) => {
+      tags.push({ tag: 'link', attrs: { rel: 'alternate', hreflang, href: absoluteUrl(path) } });
+    });
+  }
+
+  meta('property', 'og:site_name', SITE.name);
+  meta('property', 'og:type', head.type || 'website');
+  meta('property', 'og:title', head.title || SITE.name);
+  meta('property', 'og:description', description);
+  meta('property', 'og:url', url);
+  meta('property', 'og:locale', head.lang && head.lang.replace('-', '_'));
+  meta('property', 'og:image', image);
+
+  meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+  meta('name', 'twitter:site', SITE.twitter);
+  meta('name', 'twitter:title', head.title || SITE.name);
+  meta('name', 'twitter:description', description);
+  meta('name', 'twitter:image', image);
+
+  tags.push({
+    tag: 'link',
+    attrs: { rel: 'alternate', type: 'application/rss+xml', title: podcast.title, href: absoluteUrl(podcast.feedPath) },
+  });
+
+  head.jsonLd.forEach((data) => {
+    tags.push({ tag: 'script', attrs: { type: 'application/ld+json' }, children: JSON.stringify(data) });
+  });
+  return { title, tags };
+};
+
+const escapeHtml = (str) => String(str)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Serialized <head> markup for a merged head (used when prerendering pages).
+export const renderHeadToString = (head) => {
+  const { title, tags } = headTags(head);
+  const markup = tags.map(({ tag, attrs, children }) => {
+    const attrString = Object.entries(attrs).map(([k, v]) => ` ${k}="${escapeHtml(v)}"`).join('');
+    if (tag === 'script') return `<script data-head${attrString}>${children.replace(/</g, '\\u003c')}</script>`;
+    return `<${tag} data-head${attrString}>`;
+  });
+  return [`<title>${escapeHtml(title)}</title>`, ...markup].join('\n    ');
+};
+
+const applyHeadToDocument = (head) => {
+  const { title, tags } = headTags(head);
+  document.title = title;
+  document.head.querySelectorAll('[data-head]').forEach((el) => el.remove());
+  tags.forEach(({ tag, attrs, children }) => {
+    const el = document.createElement(tag);
+    el.setAttribute('data-head', '');
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    if (children) el.textContent = children;
+    document.head.appendChild(el);
+  });
+};
+
+export const createHeadManager = () => {
+  const entries = new Map();
+  let nextId = 0;
+  let scheduled = false;
+
+  const resolve = () => mergeHead(
+    Array.from(entries.keys()).sort((a, b) => a - b).map((id) => entries.get(id))
+  );
+  const flush = () => {
+    scheduled = false;
+    applyHeadToDocument(resolve());
+  };
+  const schedule = () => {
+    if (scheduled || typeof document === 'undefined') return;
+    scheduled = true;
+    Promise.resolve().then(flush);
+  };
+
+  return {
+    // Ids are handed out in render order, so parents sort before their children.
+    register: () => ++nextId,
+    set: (id, head) => { entries.set(id, head); schedule(); },
+    remove: (id) => { entries.delete(id); schedule(); },
+    resolve,
+  };
+};
+
+const HeadCtx = createContext(null);
+
+// Pass a `manager` to read the resolved head after a server render.
+export function HeadProvider({ manager, children }) {
+  const value = useMemo(() => manager || createHeadManager(), [manager]);
+  return <HeadCtx.Provider value={value}>{children}</HeadCtx.Provider>;
+}
+
+// Declare title/description/canonical path/Open Graph image/JSON-LD for the
+// current render. Usable from any page; the deepest caller wins per field.
+export function useHead(head) {
+  const manager = useContext(HeadCtx);
+  if (!manager) throw new Error('useHead must be used within <HeadProvider>');
+  const [id] = useState(() => manager.register());
+  const key = JSON.stringify(head);
+
+  // Effects never run during a server render, so record synchronously there.
+  if (typeof document === 'undefined') manager.set(id, head);
+
+  useEffect(() => {
+    manager.set(id, head);
+    return () => manager.remove(id);
+  }, [manager, id, key]);
+}
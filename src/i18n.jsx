@@ -0,0 +1,36 @@
+import React, { useEffect, useMemo, useContext, createContext } from "react";
+import { useRouter } from "./router.jsx";
+import { localeForPrefix, translate, formatDate, formatNumber } from "./lib/i18n.js";
+
+/********************
+ * I18N CONTEXT
+ ********************/
+// The locale comes from the URL prefix RouterProvider strips (see lib/i18n.js),
+// so server renders, hydration and client navigation always agree on it.
+const I18nCtx = createContext(null);
+
+export function I18nProvider({ children }) {
+  const { locale: prefix } = useRouter();
+  const value = useMemo(() => {
+    const locale = localeForPrefix(prefix);
+    return {
+      locale,
+      lang: locale.tag,
+      t: (key, vars) => translate(locale, key, vars),
+      formatDate: (isoDate, options) => formatDate(locale, isoDate, options),
+      formatNumber: (number, options) => formatNumber(locale, number, options),
+    };
+  }, [prefix]);
+
+  useEffect(() => {
+    document.documentElement.lang = value.lang;
+  }, [value.lang]);
+
+  return <I18nCtx.Provider value={value}>{children}</I18nCtx.Provider>;
+}
+
+export const useI18n = () => {
+  const ctx = useContext(I18nCtx);
+  if (!ctx) throw new Error('useI18n must be used within <I18nProvider>');
+  return ctx;
+};
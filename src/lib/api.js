@@ -0,0 +1,37 @@
+// Backend access shared by every form. The runtime override (window.__API_BASE,
+// injectable by the host page) wins over the build-time VITE_API_BASE.
+export const getApiBase = () => (
+  (typeof window !== 'undefined' && window.__API_BASE) || import.meta.env.VITE_API_BASE || ''
+).replace(/\/+$/, '');
+
+// POST JSON and hand back status + parsed body. Only network failures throw;
+// HTTP errors are data for the caller to map onto UI states.
+export async function postJSON(path, body, { headers = {}, signal } = {}) {
+  const res = await fetch(`${getApiBase()}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  let data = null;
+  try { data = await res.json(); } catch { /* empty or non-JSON body */ }
+  return { ok: res.ok, status: res.status, data, headers: res.headers };
+}
+
+// GET counterpart of postJSON, used for runtime content.
+export async function getJSON(path, { headers = {}, signal } = {}) {
+  const res = await fetch(`${getApiBase()}${path}`, { headers: { Accept: 'application/json', ...headers }, signal });
+  let data = null;
+  try { data = await res.json(); } catch { /* empty or non-JSON body */ }
+  return { ok: res.ok, status: res.status, data, headers: res.headers };
+}
+
+// Raw body for non-JSON resources (the podcast RSS feed).
+export async function getText(path, { headers = {}, signal } = {}) {
+  const res = await fetch(`${getApiBase()}${path}`, { headers, signal });
+  let text = '';
+  try { text = await res.text(); } catch { /* connection dropped mid-body */ }
+  return { ok: res.ok, status: res.status, text, headers: res.headers };
+}
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim());
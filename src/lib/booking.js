@@ -0,0 +1,144 @@
+import { getJSON, getApiBase, isValidEmail } from "./api.js";
+import { BUDGETS } from "./contact.js";
+import { english } from "./i18n.js";
+import { isoDay, todayIn, zonedTimeToUtc } from "./time.js";
+
+// Speaking and event booking requests (/book). Availability is per calendar
+// day and comes from GET /api/availability; times are entered in either
+// home city's zone and shown in both, since events happen on both sides.
+export const TIMEZONES = [
+  { id: 'America/New_York', city: 'Atlanta' },
+  { id: 'Africa/Johannesburg', city: 'Johannesburg' },
+];
+export const DEFAULT_TIMEZONE = TIMEZONES[0].id;
+
+// Option values are sent as-is and display as `option.<value>`.
+export const EVENT_TYPES = ['Keynote', 'Panel / fireside chat', 'Workshop', 'Podcast or media appearance', 'Hosting / private event', 'Brand activation'];
+export const EVENT_FORMATS = ['In person', 'Virtual', 'Hybrid'];
+export const AUDIENCE_SIZES = ['Under 50', '50–200', '200–500', '500–1,000', '1,000+'];
+
+/********************
+ * Calendar
+ ********************/
+// "2026-10" → "2026-11" (delta may be negative)
+export const addMonths = (month, delta) => {
+  const [year, m] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, m - 1 + delta, 1));
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+// Weeks (Sunday first) of ISO dates for one month, padded with nulls.
+export function monthGrid(month) {
+  const [year, m] = month.split('-').map(Number);
+  const first = new Date(Date.UTC(year, m - 1, 1)).getUTCDay();
+  const days = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  const cells = [
+    ...Array(first).fill(null),
+    ...Array.from({ length: days }, (_, i) => isoDay(year, m - 1, i + 1)),
+  ];
+  while (cells.length % 7) cells.push(null);
+  return Array.from({ length: cells.length / 7 }, (_, i) => cells.slice(i * 7, i * 7 + 7));
+}
+
+export const cityOf = (zone) => (TIMEZONES.find((tz) => tz.id === zone) || TIMEZONES[0]).city;
+
+/********************
+ * Availability
+ ********************/
+// Statuses the calendar understands; anything else from the API is ignored.
+export const DAY_STATUSES = ['available', 'tentative', 'blocked'];
+
+// { dates: [{ date, status }] } → { "2026-11-04": "available", … }
+export function normalizeAvailability(data) {
+  const list = data && Array.isArray(data.dates) ? data.dates : [];
+  return Object.fromEntries(list
+    .filter((entry) => entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) && DAY_STATUSES.includes(entry.status))
+    .map((entry) => [entry.date, entry.status]));
+}
+
+// What the calendar shows for one day: past days are never bookable, and
+// days the API says nothing about are "unknown" (requestable, unconfirmed).
+export const dayStatus = (date, availability, today) => {
+  if (date < today) return 'past';
+  return availability[date] || 'unknown';
+};
+
+export const isRequestable = (status) => status !== 'past' && status !== 'blocked';
+
+const cache = new Map(); // month → Promise<availability>
+
+// One month of availability. Rejects on network/HTTP errors; callers fall
+// back to "unknown" days rather than blocking the form.
+export function fetchAvailability(month) {
+  if (!getApiBase()) return Promise.resolve(null);
+  if (!cache.has(month)) {
+    const [year, m] = month.split('-').map(Number);
+    const to = isoDay(year, m - 1, new Date(Date.UTC(year, m, 0)).getUTCDate());
+    const request = getJSON(`/api/availability?from=${month}-01&to=${to}`).then(({ ok, status, data }) => {
+      if (!ok) throw new Error(`Availability request failed (HTTP ${status})`);
+      return normalizeAvailability(data);
+    });
+    request.catch(() => cache.delete(month)); // let a later visit retry
+    cache.set(month, request);
+  }
+  return cache.get(month);
+}
+
+/********************
+ * Request form
+ ********************/
+export const emptyBooking = () => ({
+  eventType: '',
+  format: '',
+  audienceSize: '',
+  date: '',
+  startTime: '',
+  timezone: DEFAULT_TIMEZONE,
+  location: '',
+  organization: '',
+  budget: '',
+  name: '',
+  email: '',
+  message: '',
+});
+
+// Field name → message; empty when valid. `availability` and `today` guard the chosen date.
+export function validateBooking(form, { availability = {}, today } = {}, t = english) {
+  const errors = {};
+  const required = (name) => t('validation.required', { field: t(`book.fields.${name}`) });
+  if (!EVENT_TYPES.includes(form.eventType)) errors.eventType = t('book.errors.eventType');
+  if (!EVENT_FORMATS.includes(form.format)) errors.format = t('book.errors.format');
+  if (!AUDIENCE_SIZES.includes(form.audienceSize)) errors.audienceSize = t('book.errors.audienceSize');
+  if (!form.date) errors.date = t('book.errors.date');
+  else if (!isRequestable(dayStatus(form.date, availability, today || todayIn(form.timezone)))) errors.date = t('book.errors.dateUnavailable');
+  if (form.startTime && !/^\d{2}:\d{2}$/.test(form.startTime)) errors.startTime = t('validation.invalid', { field: t('book.fields.startTime') });
+  if (!TIMEZONES.some((tz) => tz.id === form.timezone)) errors.timezone = t('book.errors.timezone');
+  if (form.format !== 'Virtual' && !String(form.location || '').trim()) errors.location = required('location');
+  if (!String(form.organization || '').trim()) errors.organization = required('organization');
+  if (form.budget && !BUDGETS.includes(form.budget)) errors.budget = t('book.errors.budget');
+  if (!String(form.name || '').trim()) errors.name = required('name');
+  if (!String(form.email || '').trim()) errors.email = required('email');
+  else if (!isValidEmail(form.email)) errors.email = t('validation.invalid', { field: t('book.fields.email') });
+  return errors;
+}
+
+// Payload for POST /api/bookings. `startsAt` is the UTC instant when a start
+// time was given, so the backend never has to guess the zone.
+export function buildBookingPayload(form) {
+  const startsAt = form.date && form.startTime ? zonedTimeToUtc(form.date, form.startTime, form.timezone).toISOString() : null;
+  return {
+    eventType: form.eventType,
+    format: form.format,
+    audienceSize: form.audienceSize,
+    date: form.date,
+    startTime: form.startTime || null,
+    timezone: form.timezone,
+    startsAt,
+    location: form.format === 'Virtual' ? null : form.location.trim(),
+    organization: form.organization.trim(),
+    budget: form.budget || null,
+    name: form.name.trim(),
+    email: form.email.trim(),
+    message: form.message.trim(),
+  };
+}
@@ -0,0 +1,166 @@
+import { isValidEmail } from "./api.js";
+import { english } from "./i18n.js";
+
+// BRGR Collective programs (/brgr) and the application form (/brgr/apply).
+// Filters live in the query string like the podcast archive; the application
+// is a fixed sequence of steps, validated one step at a time and saved on this
+// device as it is filled in.
+export const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+export const programPath = (slug) => `/brgr/${encodeURIComponent(slug)}`;
+export const applyPath = (slug) => `/brgr/apply${slug ? `?program=${encodeURIComponent(slug)}` : ''}`;
+
+// "8 weeks" → 8; anything unreadable sorts last.
+export const durationWeeks = (program) => {
+  const match = /(\d+)\s*week/i.exec(program.duration || '');
+  return match ? Number(match[1]) : Infinity;
+};
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// Cohorts starting today or later, soonest first.
+export const upcomingCohorts = (program, today = todayIso()) => (program.cohorts || [])
+  .filter((cohort) => cohort.start >= today)
+  .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+// Filter values actually in use, so no filter ever offers an empty result.
+export function programFacets(list) {
+  const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+  return {
+    levels: unique(list.map((p) => p.level)).sort((a, b) => LEVELS.indexOf(a) - LEVELS.indexOf(b)),
+    durations: unique([...list].sort((a, b) => durationWeeks(a) - durationWeeks(b)).map((p) => p.duration)),
+    formats: unique(list.map((p) => p.format)).sort(),
+    hasCohorts: list.some((p) => (p.cohorts || []).length > 0),
+  };
+}
+
+// Catalog order: level, then length.
+export function filterPrograms(list, { level = '', duration = '', format = '', upcoming = false } = {}, today = todayIso()) {
+  return [...list]
+    .sort((a, b) => (LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level)) || (durationWeeks(a) - durationWeeks(b)))
+    .filter((p) => (
+      (!level || p.level === level)
+      && (!duration || p.duration === duration)
+      && (!format || p.format === format)
+      && (!upcoming || upcomingCohorts(p, today).length > 0)
+    ));
+}
+
+/********************
+ * Application
+ ********************/
+export const APPLICATION_STEPS = [{ id: 'program' }, { id: 'eligibility' }, { id: 'about' }, { id: 'review' }];
+
+// Every question needs an answer; `mustBe` marks a hard requirement, and its
+// `apply.ineligible.<name>` message is shown instead of letting the applicant
+// continue. Questions read `apply.questions.<name>`; option values are what the
+// backend receives and display as `option.<value>`.
+export const ELIGIBILITY_QUESTIONS = [
+  { name: 'adult', options: ['Yes', 'No'], mustBe: 'Yes' },
+  { name: 'device', options: ['Yes', 'Sometimes', 'No'] },
+  { name: 'hours', options: ['Under 5', '5–10', '10–15', '15+'] },
+  { name: 'experience', options: ['None yet', 'Some self-study', 'Some work experience', 'I work in tech'] },
+];
+
+export const COUNTRIES = ['United States', 'South Africa', 'Other'];
+
+export const emptyApplication = (program = '') => ({
+  program,
+  cohort: '',
+  ...Object.fromEntries(ELIGIBILITY_QUESTIONS.map((q) => [q.name, ''])),
+  name: '',
+  email: '',
+  country: '',
+  city: '',
+  motivation: '',
+});
+
+export const MOTIVATION_MIN_LENGTH = 40;
+
+// Field name → message for one step; empty when the step is complete.
+export function validateApplicationStep(stepId, form, programs, t = english) {
+  const errors = {};
+  if (stepId === 'program') {
+    const program = programs.find((p) => p.slug === form.program);
+    if (!program) errors.program = t('validation.choose', { field: t('apply.fields.program').toLowerCase() });
+    else if (form.cohort && !upcomingCohorts(program).some((c) => c.start === form.cohort)) errors.cohort = t('apply.errors.cohortClosed');
+  }
+  if (stepId === 'eligibility') {
+    ELIGIBILITY_QUESTIONS.forEach((q) => {
+      if (!form[q.name]) errors[q.name] = t('apply.errors.answer');
+      else if (q.mustBe && form[q.name] !== q.mustBe) errors[q.name] = t(`apply.ineligible.${q.name}`);
+    });
+  }
+  if (stepId === 'about') {
+    const required = (name) => t('validation.required', { field: t(`apply.fields.${name}`) });
+    if (!String(form.name || '').trim()) errors.name = required('name');
+    if (!String(form.email || '').trim()) errors.email = required('email');
+    else if (!isValidEmail(form.email)) errors.email = t('validation.invalid', { field: t('apply.fields.email') });
+    if (!COUNTRIES.includes(form.country)) errors.country = t('validation.choose', { field: t('apply.fields.country').toLowerCase() });
+    if (!String(form.city || '').trim()) errors.city = required('city');
+    if (String(form.motivation || '').trim().length < MOTIVATION_MIN_LENGTH) {
+      errors.motivation = t('apply.errors.motivation', { count: MOTIVATION_MIN_LENGTH });
+    }
+  }
+  return errors;
+}
+
+const STEP_FIELDS = {
+  program: ['program', 'cohort'],
+  eligibility: ELIGIBILITY_QUESTIONS.map((q) => q.name),
+  about: ['name', 'email', 'country', 'city', 'motivation'],
+};
+
+// Where to send the applicant for a field the server rejected.
+export const stepForField = (field) => (
+  Object.keys(STEP_FIELDS).find((step) => STEP_FIELDS[step].includes(field)) || 'review'
+);
+
+// First step with problems (for jumping back from the review step), or null.
+export function firstInvalidStep(form, programs, t = english) {
+  const step = APPLICATION_STEPS.find((s) => Object.keys(validateApplicationStep(s.id, form, programs, t)).length > 0);
+  return step ? step.id : null;
+}
+
+// Payload for POST /api/brgr/applications.
+export const buildApplicationPayload = (form) => ({
+  program: form.program,
+  cohort: form.cohort || null,
+  eligibility: Object.fromEntries(ELIGIBILITY_QUESTIONS.map((q) => [q.name, form[q.name]])),
+  name: form.name.trim(),
+  email: form.email.trim(),
+  country: form.country,
+  city: form.city.trim(),
+  motivation: form.motivation.trim(),
+});
+
+/********************
+ * Progress
+ ********************/
+// Same lifetime as Contact drafts; the current step is saved alongside the answers.
+const PROGRESS_KEY = 'angelk:brgr-application';
+const PROGRESS_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export function loadApplicationProgress(now = Date.now()) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRESS_KEY) || 'null');
+    if (!saved || !saved.form || now - saved.savedAt > PROGRESS_MAX_AGE) return null;
+    const step = APPLICATION_STEPS.some((s) => s.id === saved.step) ? saved.step : APPLICATION_STEPS[0].id;
+    return { form: { ...emptyApplication(), ...saved.form }, step };
+  } catch {
+    return null;
+  }
+}
+
+export function clearApplicationProgress() {
+  try { localStorage.removeItem(PROGRESS_KEY); } catch { /* storage disabled */ }
+}
+
+// Nothing worth keeping beyond a preselected program clears the saved progress.
+export function saveApplicationProgress(form, step) {
+  const started = Object.entries(form).some(([key, value]) => key !== 'program' && String(value || '').trim());
+  if (!started) return clearApplicationProgress();
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify({ form, step, savedAt: Date.now() }));
+  } catch { /* storage full or disabled */ }
+}
@@ -0,0 +1,22 @@
+// Copy text to the clipboard. Falls back to a hidden textarea where the async
+// Clipboard API is missing or blocked (older Safari, non-secure origins).
+// Resolves true when the text was copied.
+export async function copyText(text) {
+  try {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch { /* permission denied: try the fallback */ }
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  let copied = false;
+  try { copied = document.execCommand('copy'); } catch { /* unsupported */ }
+  area.remove();
+  return copied;
+}
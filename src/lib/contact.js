@@ -0,0 +1,198 @@
+import { isValidEmail } from "./api.js";
+import { english } from "./i18n.js";
+
+// Inquiry types for the Contact form. Each type lists the extra fields it
+// reveals; their values travel in the payload's `details` object. Labels are
+// `contact.types.<id>` and `contact.fields.<id>.<name>` in the catalogs.
+// Select options are sent as-is and display as `option.<value>`.
+export const BUDGETS = ['Under $1,000', '$1,000 – $5,000', '$5,000 – $15,000', '$15,000+', 'Not sure yet'];
+
+export const INQUIRY_TYPES = [
+  {
+    id: 'booking',
+    fields: [
+      { name: 'eventDate', type: 'date', required: true, future: true },
+      { name: 'eventLocation', type: 'text', required: true },
+      { name: 'budget', type: 'select', options: BUDGETS, required: true },
+    ],
+  },
+  {
+    id: 'partnership',
+    fields: [
+      { name: 'organization', type: 'text', required: true },
+      { name: 'website', type: 'url' },
+      { name: 'budget', type: 'select', options: BUDGETS },
+    ],
+  },
+  {
+    id: 'media',
+    fields: [
+      { name: 'outlet', type: 'text', required: true },
+      { name: 'format', type: 'select', options: ['Podcast', 'Print / online article', 'TV / video', 'Panel / live event'], required: true },
+      { name: 'deadline', type: 'date', future: true },
+    ],
+  },
+  {
+    id: 'brgr',
+    fields: [
+      { name: 'role', type: 'select', options: ['Student', 'Sponsor', 'Volunteer instructor', 'Community partner'], required: true },
+      { name: 'organization', type: 'text' },
+    ],
+  },
+  { id: 'general', fields: [] },
+];
+
+export const DEFAULT_INQUIRY_TYPE = 'general';
+
+export const getInquiryType = (id) => (
+  INQUIRY_TYPES.find((type) => type.id === id) || INQUIRY_TYPES.find((type) => type.id === DEFAULT_INQUIRY_TYPE)
+);
+
+export const emptyContactForm = (type = DEFAULT_INQUIRY_TYPE) => ({
+  type: getInquiryType(type).id,
+  name: '',
+  email: '',
+  message: '',
+});
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// `t` translates messages (see lib/i18n.js); English by default.
+const validateField = (field, raw, label, t) => {
+  const value = String(raw || '').trim();
+  if (!value) return field.required ? t('validation.required', { field: label }) : null;
+  if (field.type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) return t('validation.invalid', { field: label });
+    if (field.future && value < todayIso()) return t('validation.future', { field: label });
+  }
+  if (field.type === 'url' && !/^https?:\/\/\S+\.\S+/.test(value)) return t('validation.url', { field: label });
+  if (field.type === 'select' && !field.options.includes(value)) return t('validation.choose', { field: label.toLowerCase() });
+  return null;
+};
+
+// Field name → message for everything wrong with the form; empty when valid.
+export function validateInquiry(form, t = english) {
+  const errors = {};
+  const required = (name) => t('validation.required', { field: t(`contact.fields.${name}`) });
+  if (!String(form.name || '').trim()) errors.name = required('name');
+  if (!String(form.email || '').trim()) errors.email = required('email');
+  else if (!isValidEmail(form.email)) errors.email = t('validation.invalid', { field: t('contact.fields.email') });
+  if (!String(form.message || '').trim()) errors.message = required('message');
+
+  const type = getInquiryType(form.type);
+  type.fields.forEach((field) => {
+    const error = validateField(field, form[field.name], t(`contact.fields.${type.id}.${field.name}`), t);
+    if (error) errors[field.name] = error;
+  });
+  return errors;
+}
+
+// Typed payload for POST /api/contact. Only the selected type's fields are sent.
+export function buildInquiryPayload(form) {
+  const type = getInquiryType(form.type);
+  const details = {};
+  type.fields.forEach((field) => {
+    const value = String(form[field.name] || '').trim();
+    if (value) details[field.name] = value;
+  });
+  return {
+    type: type.id,
+    name: form.name.trim(),
+    email: form.email.trim(),
+    message: form.message.trim(),
+    details,
+  };
+}
+
+export const CONTACT_EMAIL = 'hello@angelkellogg.com';
+
+/********************
+ * Drafts
+ ********************/
+// Unsent form contents survive navigation and reloads on this device.
+const DRAFT_KEY = 'angelk:contact-draft';
+const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const hasContent = (form) => Object.entries(form).some(([key, value]) => key !== 'type' && String(value || '').trim());
+
+export function loadContactDraft(now = Date.now()) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null');
+    if (!draft || !draft.form || now - draft.savedAt > DRAFT_MAX_AGE) return null;
+    return { ...emptyContactForm(draft.form.type), ...draft.form };
+  } catch {
+    return null;
+  }
+}
+
+export function clearContactDraft() {
+  try { localStorage.removeItem(DRAFT_KEY); } catch { /* storage disabled */ }
+}
+
+// Saving an empty form clears the draft instead.
+export function saveContactDraft(form) {
+  if (!hasContent(form)) return clearContactDraft();
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ form, savedAt: Date.now() }));
+  } catch { /* storage full or disabled */ }
+}
+
+/********************
+ * Backend responses
+ ********************/
+// Retry-After is either delta-seconds or an HTTP date. Returns milliseconds or null.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export const describeWait = (ms, t = english) => {
+  if (ms < 60 * 1000) return t('time.seconds', { count: Math.max(1, Math.ceil(ms / 1000)) });
+  return t('time.minutes', { count: Math.ceil(ms / 60000) });
+};
+
+// Accepts { errors: { field: message } } or { errors: [{ field, message }] }.
+const fieldErrorsFrom = (data, t) => {
+  const errors = data && data.errors;
+  if (Array.isArray(errors)) {
+    return Object.fromEntries(errors.filter((e) => e && e.field).map((e) => [e.field, e.message || t('validation.invalidValue')]));
+  }
+  return errors && typeof errors === 'object' ? { ...errors } : {};
+};
+
+// Map a non-2xx /api/contact response onto what the form should show:
+//   { kind: 'validation', fieldErrors, message? } for 422
+//   { kind: 'rate-limited', retryAfterMs }         for 429
+//   { kind: 'server' }                              for 5xx (offer email instead)
+//   { kind: 'rejected', message }                   for anything else
+export function describeSubmitError({ status, data, headers }, t = english) {
+  if (status === 422) {
+    return { kind: 'validation', fieldErrors: fieldErrorsFrom(data, t), message: data && data.message };
+  }
+  if (status === 429) {
+    return { kind: 'rate-limited', retryAfterMs: parseRetryAfter(headers && headers.get && headers.get('Retry-After')) };
+  }
+  if (status >= 500) return { kind: 'server' };
+  return { kind: 'rejected', message: (data && (data.message || data.error)) || t('contact.errors.rejected', { status: String(status) }) };
+}
+
+// mailto: link carrying the whole draft, for when the backend is down. Field
+// labels and the subject are written in the page's language.
+export function buildMailtoLink(form, to = CONTACT_EMAIL, t = english) {
+  const payload = buildInquiryPayload(form);
+  const type = getInquiryType(payload.type);
+  const detailLines = type.fields
+    .filter((field) => payload.details[field.name])
+    .map((field) => `${t(`contact.fields.${type.id}.${field.name}`)}: ${payload.details[field.name]}`);
+  const body = [
+    payload.message,
+    '',
+    ...detailLines,
+    ...(detailLines.length ? [''] : []),
+    `${payload.name} <${payload.email}>`,
+  ].join('\n');
+  const subject = `${t(`contact.types.${type.id}`)}${payload.name ? ` — ${payload.name}` : ''}`;
+  return `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
@@ -0,0 +1,135 @@
+import { english } from "./i18n.js";
+import { addDays, zonedTimeToUtc } from "./time.js";
+
+// Talks, nights and trips from events.json (or the CMS). `start`/`end` are
+// wall-clock values in the event's own `timezone`: "2026-11-14T19:30" for a
+// timed event, "2026-11-14" for an all-day one (`end` is then inclusive).
+export const eventPath = (slug) => `/events/${slug}`;
+
+export const isAllDay = (event) => !event.start.includes('T');
+
+// Timed events without an end are assumed to run this long.
+const DEFAULT_LENGTH_MS = 2 * 60 * 60 * 1000;
+
+const toInstant = (value, zone) => {
+  const [date, time = '00:00'] = value.split('T');
+  return zonedTimeToUtc(date, time, zone);
+};
+
+// The event as real instants: { start, end } with an exclusive end.
+export function eventRange(event) {
+  const start = toInstant(event.start, event.timezone);
+  if (isAllDay(event)) {
+    return { start, end: toInstant(addDays(event.end || event.start, 1), event.timezone) };
+  }
+  return { start, end: event.end ? toInstant(event.end, event.timezone) : new Date(start.getTime() + DEFAULT_LENGTH_MS) };
+}
+
+// Events still running count as upcoming. Upcoming soonest first, past most recent first.
+export function splitEvents(events, now = new Date()) {
+  const ranged = events.map((event) => ({ event, ...eventRange(event) }));
+  return {
+    upcoming: ranged.filter((e) => e.end > now).sort((a, b) => a.start - b.start).map((e) => e.event),
+    past: ranged.filter((e) => e.end <= now).sort((a, b) => b.start - a.start).map((e) => e.event),
+  };
+}
+
+// Filter options that actually occur, so there is never a chip that matches nothing.
+export function eventFacets(events) {
+  const unique = (values) => [...new Set(values)];
+  return {
+    brands: unique(events.map((event) => event.brand)),
+    cities: unique(events.map((event) => event.city)).sort((a, b) => a.localeCompare(b)),
+  };
+}
+
+export const filterEvents = (events, { brand = '', city = '' } = {}) => events.filter((event) => (
+  (!brand || event.brand === brand) && (!city || event.city === city)
+));
+
+// "Sat, Nov 14, 2026, 7:30 PM EST" in the event's zone; "Mar 14 – 21, 2027" for
+// multi-day events. `tag` is the BCP 47 language tag of the page locale.
+export function formatEventWhen(event, tag = 'en-US') {
+  const { start } = eventRange(event);
+  if (isAllDay(event)) {
+    const day = (value) => new Date(`${value}T00:00:00Z`);
+    const format = new Intl.DateTimeFormat(tag, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    if (!event.end || event.end === event.start) return format.format(day(event.start));
+    return new Intl.DateTimeFormat(tag, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+      .formatRange(day(event.start), day(event.end));
+  }
+  return new Intl.DateTimeFormat(tag, {
+    timeZone: event.timezone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(start);
+}
+
+export const eventLocation = (event) => [event.venue, event.address, event.city].filter(Boolean).join(', ');
+
+/********************
+ * iCalendar (.ics)
+ ********************/
+// RFC 5545: TEXT values escape backslash, semicolon, comma and newlines.
+export const escapeIcsText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character.
+export function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsInstant = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDay = (value) => value.replace(/-/g, '');
+
+// One VCALENDAR holding every event. Timed events are written in UTC so no
+// VTIMEZONE block is needed; all-day events stay floating dates.
+export function buildIcs(events, { siteUrl, now = new Date() }, t = english) {
+  const host = new URL(siteUrl).hostname;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${host}//Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  events.forEach((event) => {
+    const { start, end } = eventRange(event);
+    const url = `${siteUrl}${eventPath(event.slug)}`;
+    const description = [event.description, event.url ? t('events.icsTickets', { url: event.url }) : '', url].filter(Boolean).join('\n\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.slug}@${host}`,
+      `DTSTAMP:${icsInstant(now)}`,
+      ...(isAllDay(event)
+        ? [`DTSTART;VALUE=DATE:${icsDay(event.start)}`, `DTEND;VALUE=DATE:${icsDay(addDays(event.end || event.start, 1))}`]
+        : [`DTSTART:${icsInstant(start)}`, `DTEND:${icsInstant(end)}`]),
+      `SUMMARY:${escapeIcsText(event.title)}`,
+      `LOCATION:${escapeIcsText(eventLocation(event))}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${url}`,
+      'END:VEVENT',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+export const icsFileName = (events) => (events.length === 1 ? `${events[0].slug}.ics` : 'events.ics');
@@ -0,0 +1,44 @@
+import en from "../locales/en.json";
+import enZA from "../locales/en-ZA.json";
+import es from "../locales/es.json";
+
+// Locales the site is served in. English (US) lives at the root, the others
+// under a URL prefix (/za/about, /es/about). `tag` drives Intl formatting and
+// <html lang>. Catalogs may be partial: missing keys fall back to English.
+export const LOCALES = [
+  { id: 'en', prefix: '', tag: 'en-US', label: 'English (US)', messages: en },
+  { id: 'en-ZA', prefix: 'za', tag: 'en-ZA', label: 'English (South Africa)', messages: enZA },
+  { id: 'es', prefix: 'es', tag: 'es', label: 'Español', messages: es },
+];
+export const DEFAULT_LOCALE = LOCALES[0];
+export const LOCALE_PREFIXES = LOCALES.map((locale) => locale.prefix).filter(Boolean);
+
+export const localeForPrefix = (prefix) => LOCALES.find((locale) => locale.prefix === (prefix || '')) || DEFAULT_LOCALE;
+
+const lookup = (locale, key) => (key in locale.messages ? locale.messages[key] : DEFAULT_LOCALE.messages[key]);
+
+// Messages are strings with {placeholders}, or { one, other, … } plural forms
+// picked by `vars.count`. Unknown keys render as the key itself so they stand out.
+export function translate(locale, key, vars = {}) {
+  let message = lookup(locale, key);
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale.tag).select(vars.count)] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    vars[name] === undefined ? placeholder : typeof vars[name] === 'number' ? formatNumber(locale, vars[name]) : String(vars[name])
+  ));
+}
+
+// English messages for code that runs outside React (validation, defaults).
+export const english = (key, vars) => translate(DEFAULT_LOCALE, key, vars);
+
+// English keys a catalog has not translated yet (they fall back to English).
+export const missingKeys = (locale) => Object.keys(DEFAULT_LOCALE.messages).filter((key) => !(key in locale.messages));
+
+// Calendar dates ("2025-09-10") are pinned to UTC so the day never shifts by timezone.
+export const formatDate = (locale, isoDate, options = { month: 'short', day: 'numeric', year: 'numeric' }) => (
+  new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(locale.tag, { ...options, timeZone: 'UTC' })
+);
+
+export const formatNumber = (locale, value, options) => new Intl.NumberFormat(locale.tag, options).format(value);
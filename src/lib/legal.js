@@ -0,0 +1,63 @@
+// Policy documents from legal.json keep every published version, oldest first.
+// Pages show the latest; `?version=` reads an older one and `?changes=` diffs a
+// version against the one before it.
+export const currentVersion = (doc) => doc.versions[doc.versions.length - 1];
+
+export const findVersion = (doc, number) => doc.versions.find((version) => version.version === Number(number)) || null;
+
+// Plain text of a body block: one line per paragraph or list item.
+export const blockLines = (block) => (typeof block === 'string'
+  ? [block]
+  : block.items.map((item) => (typeof item === 'string' ? `• ${item}` : `• ${item.label}: ${item.text}`)));
+
+// Line diff via longest common subsequence: [{ type: 'same' | 'removed' | 'added', text }].
+// Sections are a handful of lines, so the full table is cheap.
+export function diffLines(before, after) {
+  const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i][j] = before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      lines.push({ type: 'removed', text: before[i++] });
+    } else {
+      lines.push({ type: 'added', text: after[j++] });
+    }
+  }
+  before.slice(i).forEach((text) => lines.push({ type: 'removed', text }));
+  after.slice(j).forEach((text) => lines.push({ type: 'added', text }));
+  return lines;
+}
+
+// The intro counts as a section so edits to it show up too.
+const sectionsOf = (version) => [
+  ...(version.intro ? [{ id: 'introduction', title: '', lines: [version.intro] }] : []),
+  ...version.sections.map((section) => ({ id: section.id, title: section.title, lines: [section.title, ...section.body.flatMap(blockLines)] })),
+];
+
+// Section-by-section changes from `older` to `newer`, matched by `id` so
+// renumbering is not a change. Sections keep the newer order; dropped ones
+// follow. `status` is 'same' | 'changed' | 'added' | 'removed'.
+export function diffVersions(older, newer) {
+  const before = sectionsOf(older);
+  const after = sectionsOf(newer);
+  const kept = after.map((section) => {
+    const previous = before.find((s) => s.id === section.id);
+    const lines = diffLines(previous ? previous.lines : [], section.lines);
+    const status = !previous ? 'added' : lines.every((line) => line.type === 'same') ? 'same' : 'changed';
+    return { id: section.id, title: section.title, status, lines };
+  });
+  const dropped = before
+    .filter((section) => !after.some((s) => s.id === section.id))
+    .map((section) => ({ id: section.id, title: section.title, status: 'removed', lines: diffLines(section.lines, []) }));
+  return [...kept, ...dropped];
+}
@@ -0,0 +1,35 @@
+import { postJSON, isValidEmail } from "./api.js";
+
+// Double opt-in: subscribing sends a confirmation email whose link lands on
+// /newsletter/confirm?token=…; that page calls confirmSubscription(token).
+export const LISTS = {
+  newsletter: 'newsletter',
+  foreverdocsWaitlist: 'foreverdocs-waitlist',
+};
+
+// Resolves to 'pending' | 'subscribed' | 'already' | 'invalid' | 'error'.
+export async function subscribe(email, list = LISTS.newsletter) {
+  if (!isValidEmail(email)) return 'invalid';
+  try {
+    const { ok, status, data } = await postJSON('/api/newsletter/subscribe', { email: email.trim(), list });
+    if (status === 409 || (data && data.status === 'already_subscribed')) return 'already';
+    if (status === 422) return 'invalid';
+    if (!ok) return 'error';
+    return data && data.status === 'subscribed' ? 'subscribed' : 'pending';
+  } catch {
+    return 'error';
+  }
+}
+
+// Resolves to 'confirmed' | 'already' | 'expired' | 'error'.
+export async function confirmSubscription(token) {
+  if (!token) return 'expired';
+  try {
+    const { ok, status, data } = await postJSON('/api/newsletter/confirm', { token });
+    if (status === 409 || (data && data.status === 'already_confirmed')) return 'already';
+    if ([400, 404, 410].includes(status)) return 'expired';
+    return ok ? 'confirmed' : 'error';
+  } catch {
+    return 'error';
+  }
+}
@@ -0,0 +1,146 @@
+import { postJSON } from "./api.js";
+
+// Persistent outbox for form submissions that could not reach the backend.
+// Entries live in localStorage, retry with exponential backoff (and right away
+// when the browser comes back online), and always carry the same
+// Idempotency-Key so the backend can drop duplicates.
+const STORAGE_KEY = 'angelk:outbox';
+const BASE_DELAY = 15 * 1000;
+const MAX_DELAY = 30 * 60 * 1000;
+
+const listeners = new Set();
+let timer = null;
+let flushing = null;
+
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+// 15s, 30s, 1m, 2m … capped at 30m, with ±20% jitter so tabs do not retry in lockstep.
+export const retryDelay = (attempts, random = Math.random) => {
+  const base = Math.min(BASE_DELAY * 2 ** attempts, MAX_DELAY);
+  return Math.round(base * (0.8 + random() * 0.4));
+};
+
+const readQueue = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(queue)); } catch { /* storage full or disabled */ }
+};
+
+const emit = (event) => listeners.forEach((listener) => listener(event));
+
+export const getQueuedSubmissions = () => readQueue();
+
+// Listener receives { type: 'queued' | 'sent' | 'failed' | 'change', entry? }.
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function enqueue(entry) {
+  const queue = readQueue();
+  if (queue.some((queued) => queued.id === entry.id)) return;
+  writeQueue([...queue, entry]);
+  emit({ type: 'queued', entry });
+  scheduleFlush();
+}
+
+function settle(id, type) {
+  const queue = readQueue();
+  const entry = queue.find((queued) => queued.id === id);
+  writeQueue(queue.filter((queued) => queued.id !== id));
+  if (entry) emit({ type, entry });
+}
+
+function reschedule(id) {
+  writeQueue(readQueue().map((queued) => (queued.id === id
+    ? { ...queued, attempts: queued.attempts + 1, nextAttemptAt: Date.now() + retryDelay(queued.attempts + 1) }
+    : queued)));
+}
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// 408/429 and 5xx are worth retrying; any other 4xx will never succeed.
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Retry every due entry (or all of them with `force`). Concurrent calls share one run.
+export function flushOutbox({ force = false } = {}) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    if (isOffline()) return;
+    for (const entry of readQueue()) {
+      if (!force && entry.nextAttemptAt > Date.now()) continue;
+      try {
+        const res = await postJSON(entry.path, entry.body, { headers: { 'Idempotency-Key': entry.id } });
+        if (res.ok) settle(entry.id, 'sent');
+        else if (isRetryableStatus(res.status)) reschedule(entry.id);
+        else settle(entry.id, 'failed');
+      } catch {
+        reschedule(entry.id);
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+    scheduleFlush();
+  });
+  return flushing;
+}
+
+// Arms one timer for the next due entry. Offline, nothing is armed: overdue
+// entries would otherwise spin on 0 ms timers, and the `online` listener in
+// startOutbox flushes as soon as the connection returns.
+function scheduleFlush() {
+  if (typeof window === 'undefined') return;
+  clearTimeout(timer);
+  if (isOffline()) return;
+  const queue = readQueue();
+  if (!queue.length) return;
+  const next = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+  timer = setTimeout(() => flushOutbox(), Math.max(0, next - Date.now()));
+}
+
+// Send now; if the network is unavailable, persist and retry later.
+// Resolves to { status: 'sent' | 'failed', response } or { status: 'queued', id }.
+export async function sendWithOutbox(path, body, { idempotencyKey = createIdempotencyKey() } = {}) {
+  const queueIt = () => {
+    enqueue({ id: idempotencyKey, path, body, attempts: 0, nextAttemptAt: Date.now() + retryDelay(0), createdAt: Date.now() });
+    return { status: 'queued', id: idempotencyKey };
+  };
+
+  if (isOffline()) return queueIt();
+  try {
+    const response = await postJSON(path, body, { headers: { 'Idempotency-Key': idempotencyKey } });
+    return { status: response.ok ? 'sent' : 'failed', response };
+  } catch {
+    return queueIt();
+  }
+}
+
+// Wire retries to connectivity and other tabs. Call once on the client.
+export function startOutbox() {
+  const onOnline = () => flushOutbox({ force: true });
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      emit({ type: 'change' });
+      scheduleFlush();
+    }
+  };
+  window.addEventListener('online', onOnline);
+  window.addEventListener('storage', onStorage);
+  // A fresh page load is a good moment to try everything, backoff or not
+  flushOutbox({ force: true });
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('online', onOnline);
+    window.removeEventListener('storage', onStorage);
+  };
+}
@@ -0,0 +1,39 @@
+// Archive helpers for /media/podcast: newest first, free-text search over
+// title/description/notes/tags, a single tag filter, and fixed-size pages.
+export const EPISODES_PER_PAGE = 10;
+
+export const sortEpisodes = (list) => [...list].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+// Every tag in use, alphabetically.
+export const episodeTags = (list) => Array.from(new Set(list.flatMap((ep) => ep.tags || []))).sort();
+
+const searchableText = (ep) => [ep.title, ep.description, ...(ep.notes || []), ...(ep.tags || [])]
+  .filter(Boolean)
+  .join(' ')
+  .toLowerCase();
+
+// All query words must appear somewhere in the episode.
+export function filterEpisodes(list, { q = '', tag = '' } = {}) {
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  return sortEpisodes(list).filter((ep) => (
+    (!tag || (ep.tags || []).includes(tag))
+    && words.every((word) => searchableText(ep).includes(word))
+  ));
+}
+
+// `page` is 1-based and clamped into range.
+export function paginate(list, page, perPage = EPISODES_PER_PAGE) {
+  const pageCount = Math.max(1, Math.ceil(list.length / perPage));
+  const current = Math.min(Math.max(1, Number.parseInt(page, 10) || 1), pageCount);
+  return { items: list.slice((current - 1) * perPage, current * perPage), page: current, pageCount };
+}
+
+// Neighbours in date order, for "previous / next episode" links.
+export function adjacentEpisodes(list, slug) {
+  const sorted = sortEpisodes(list);
+  const index = sorted.findIndex((ep) => ep.slug === slug);
+  if (index === -1) return { newer: null, older: null };
+  return { newer: sorted[index - 1] || null, older: sorted[index + 1] || null };
+}
+
+export const episodePath = (slug) => `/media/podcast/${encodeURIComponent(slug)}`;
@@ -0,0 +1,43 @@
+import { createZip } from "./zip.js";
+
+// Press kit helpers for the Media page: stable file names, selection keys and
+// the ZIP of whatever the visitor ticked.
+export const PRESS_KIT_ZIP = 'angel-kellogg-press-kit.zip';
+
+const slugPart = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// "logos/wordmark-on-dark-960x200.svg"
+export const assetFileName = (group, asset, variant) => {
+  const size = variant.width && variant.height ? `-${variant.width}x${variant.height}` : '';
+  return `${group}/${asset.id}-${slugPart(variant.label)}${size}.${variant.format}`;
+};
+
+// Every downloadable file: [{ key, group, asset, variant, name }]
+export const pressKitFiles = ({ headshots, logos }) => [
+  ...headshots.map((asset) => ['headshots', asset]),
+  ...logos.map((asset) => ['logos', asset]),
+].flatMap(([group, asset]) => asset.variants.map((variant) => {
+  const name = assetFileName(group, asset, variant);
+  return { key: name, group, asset, variant, name };
+}));
+
+export const bioFiles = (bios) => ['short', 'medium', 'long'].map((length) => ({
+  name: `bio/${length}.txt`,
+  text: `${bios[length]}\n`,
+}));
+
+// Newest first.
+export const sortMentions = (mentions) => [...mentions].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+// Fetch the selected files and pack them. Any failed download rejects, so the
+// visitor never gets an archive silently missing files.
+export async function buildPressKitZip(files, { bios, fetcher = fetch } = {}) {
+  const encoder = new TextEncoder();
+  const entries = await Promise.all(files.map(async (file) => {
+    const res = await fetcher(file.variant.src);
+    if (!res.ok) throw new Error(`Could not download ${file.name} (HTTP ${res.status})`);
+    return { name: file.name, data: new Uint8Array(await res.arrayBuffer()) };
+  }));
+  const texts = bios ? bioFiles(bios).map(({ name, text }) => ({ name, data: encoder.encode(text) })) : [];
+  return createZip([...texts, ...entries]);
+}
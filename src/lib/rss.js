@@ -0,0 +1,163 @@
+// Podcast RSS → episode model (see SCHEMAS.episode in src/content/schema.js).
+// No DOMParser, so the same code runs in the browser and in Node build
+// scripts. Real-world feeds are messy: items that cannot become an episode
+// are skipped with a warning, and optional fields that do not parse are left
+// out, instead of failing the whole feed.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+  if (code[0] === '#') {
+    const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+  }
+  return ENTITIES[code.toLowerCase()] ?? match;
+});
+
+// Text content of a fragment: CDATA unwrapped, markup stripped, entities
+// decoded. CDATA in feeds is almost always HTML, so its entities decode too.
+const toText = (raw) => {
+  if (raw == null) return '';
+  return decodeEntities(
+    raw
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/<(br|\/p|\/li)\s*\/?>/gi, '\n')
+      .replace(/<[^>]*>/g, ' ')
+  ).replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+};
+
+const escapeTag = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Inner markup of the first <name>…</name> (or null). Namespaced names like
+// "itunes:duration" are matched literally.
+const tagContent = (xml, name) => {
+  const match = new RegExp(`<${escapeTag(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(name)}>`, 'i').exec(xml);
+  return match ? match[1] : null;
+};
+
+// Attributes of the first <name …> (self-closing or not), or null.
+const tagAttributes = (xml, name) => {
+  const match = new RegExp(`<${escapeTag(name)}(\\s[^>]*?)?\\/?>`, 'i').exec(xml);
+  if (!match) return null;
+  const attrs = {};
+  (match[1] || '').replace(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, key, dq, sq) => {
+    attrs[key.toLowerCase()] = decodeEntities(dq ?? sq);
+    return '';
+  });
+  return attrs;
+};
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const pad = (n) => String(n).padStart(2, '0');
+
+// RFC 822 ("Wed, 10 Sep 2025 07:00:00 -0500") → "2025-09-10", keeping the
+// calendar date as published rather than shifting it to UTC.
+export function parseFeedDate(value) {
+  const text = toText(value);
+  const rfc = /(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})/i.exec(text);
+  if (rfc && MONTHS[rfc[2].toLowerCase()]) return `${rfc[3]}-${pad(MONTHS[rfc[2].toLowerCase()])}-${pad(rfc[1])}`;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (iso) return iso.slice(1).join('-');
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+}
+
+// itunes:duration is seconds ("2304") or [[h:]m:]s ("38:24", "62:05") → "38:24" / "1:02:05".
+export function parseFeedDuration(value) {
+  const text = toText(value);
+  if (!/^\d+(?::\d+){0,2}$/.test(text)) return null;
+  const seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  if (!seconds) return null;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = seconds % 60;
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+export const slugify = (title) => title
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Only https media: plain-http audio or artwork would be blocked as mixed content.
+const httpsUrl = (value) => (value && /^https:\/\/\S+$/.test(value.trim()) ? value.trim() : null);
+
+// Parse one feed. Returns { show, episodes, warnings }; throws only when the
+// document is not an RSS feed at all. Truncated feeds (a download cut short,
+// a missing </item> or </channel>) still yield the items that are readable.
+export function parsePodcastFeed(xml) {
+  const open = typeof xml === 'string' && /<rss[\s>]/i.test(xml) ? /<channel(?:\s[^>]*)?>/i.exec(xml) : null;
+  if (!open) throw new Error('Not an RSS feed: missing <rss> or <channel>');
+  const channel = xml.slice(open.index + open[0].length).split(/<\/channel>/i)[0];
+  const [head, ...items] = channel.split(/<item(?=[\s>])[^>]*>/i).map((part, i) => (i ? part.split(/<\/item>/i)[0] : part));
+  const warnings = [];
+
+  const showImage = tagAttributes(head, 'itunes:image');
+  const show = {
+    title: toText(tagContent(head, 'title')),
+    description: toText(tagContent(head, 'description') ?? tagContent(head, 'itunes:summary')),
+    url: httpsUrl(toText(tagContent(head, 'link'))),
+    artwork: httpsUrl(showImage && showImage.href) || httpsUrl(toText(tagContent(tagContent(head, 'image') || '', 'url'))),
+  };
+
+  const seen = new Set();
+  const episodes = [];
+
+  items.forEach((item, index) => {
+    const title = toText(tagContent(item, 'title') ?? tagContent(item, 'itunes:title'));
+    const where = `item ${index + 1}${title ? ` ("${title}")` : ''}`;
+    if (!title) {
+      warnings.push(`${where}: skipped, no title`);
+      return;
+    }
+    const date = parseFeedDate(tagContent(item, 'pubDate'));
+    if (!date) {
+      warnings.push(`${where}: skipped, missing or unreadable pubDate`);
+      return;
+    }
+
+    let slug = slugify(title) || `episode-${index + 1}`;
+    while (seen.has(slug)) slug = `${slug}-${date}`;
+    seen.add(slug);
+
+    const episode = { slug, title, date };
+    const duration = parseFeedDuration(tagContent(item, 'itunes:duration'));
+    if (duration) episode.duration = duration;
+    else warnings.push(`${where}: no usable itunes:duration`);
+
+    const description = toText(
+      tagContent(item, 'itunes:summary') ?? tagContent(item, 'description') ?? tagContent(item, 'content:encoded')
+    );
+    if (description) episode.description = description;
+
+    const enclosure = tagAttributes(item, 'enclosure');
+    const audioUrl = httpsUrl(enclosure && enclosure.url);
+    if (audioUrl) episode.audioUrl = audioUrl;
+    else warnings.push(`${where}: no https enclosure`);
+
+    const image = tagAttributes(item, 'itunes:image');
+    const artwork = httpsUrl(image && image.href);
+    if (artwork) episode.artwork = artwork;
+
+    episodes.push(episode);
+  });
+
+  if (!items.length) warnings.push('feed has no <item> elements');
+  return { show, episodes, warnings };
+}
+
+// Fold feed episodes into hand-maintained ones: the feed owns what it knows
+// (title, date, duration, audio, artwork, description); our additions such as
+// tags, notes and brand links survive. Matching is by slug.
+export function mergeEpisodes(existing, fromFeed) {
+  const bySlug = new Map(existing.map((ep) => [ep.slug, ep]));
+  const merged = fromFeed.map((ep) => ({ ...bySlug.get(ep.slug), ...ep }));
+  const feedSlugs = new Set(fromFeed.map((ep) => ep.slug));
+  return merged
+    .concat(existing.filter((ep) => !feedSlugs.has(ep.slug)))
+    .filter((ep) => ep.duration) // the episode model requires one
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+}
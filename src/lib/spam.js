@@ -0,0 +1,103 @@
+// Client-side spam defenses for public forms. None of these are a substitute
+// for server checks; they filter naive bots and give the backend signals
+// (elapsed time, challenge token) it can verify. See scripts/mock-api.js.
+
+// Hidden field real users never see; bots that fill every input trip it.
+export const HONEYPOT_FIELD = 'homepage';
+
+// Humans need more than a few seconds to write a message.
+export const MIN_FILL_MS = 3000;
+
+const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+const rateKey = (formName) => `angelk:rate:${formName}`;
+
+const readTimestamps = (formName, now) => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(rateKey(formName)) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((t) => now - t < RATE_LIMIT.windowMs) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Per-browser limit: at most RATE_LIMIT.max submissions per rolling window.
+export function checkRateLimit(formName, now = Date.now()) {
+  const recent = readTimestamps(formName, now);
+  if (recent.length < RATE_LIMIT.max) return { allowed: true, retryInMs: 0 };
+  return { allowed: false, retryInMs: RATE_LIMIT.windowMs - (now - Math.min(...recent)) };
+}
+
+// Call once a submission is sent or queued; rejected attempts do not count.
+export function recordSubmission(formName, now = Date.now()) {
+  try {
+    localStorage.setItem(rateKey(formName), JSON.stringify([...readTimestamps(formName, now), now]));
+  } catch { /* storage disabled: the server limit still applies */ }
+}
+
+/********************
+ * Challenge hook
+ ********************/
+const hex = (buffer) => Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+
+export const leadingZeroBits = (hexDigest) => {
+  let bits = 0;
+  for (const char of hexDigest) {
+    const nibble = parseInt(char, 16);
+    if (nibble === 0) { bits += 4; continue; }
+    return bits + Math.clz32(nibble) - 28;
+  }
+  return bits;
+};
+
+// Hashcash-style proof of work: find a nonce where SHA-256("<data>:<nonce>")
+// starts with `difficulty` zero bits. Cheap to verify, ~0.5s to solve at 14.
+export async function solveProofOfWork(data, difficulty = 14) {
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle) return null; // insecure context: let the server decide
+  const encoder = new TextEncoder();
+  for (let nonce = 0; nonce < 2 ** 24; nonce++) {
+    const digest = hex(await subtle.digest('SHA-256', encoder.encode(`${data}:${nonce}`)));
+    if (leadingZeroBits(digest) >= difficulty) return { nonce, digest };
+  }
+  return null;
+}
+
+export const proofOfWorkChallenge = async ({ formName, email }) => {
+  const difficulty = 14;
+  const data = `${formName}:${Date.now()}:${String(email || '').trim().toLowerCase()}`;
+  const solved = await solveProofOfWork(data, difficulty);
+  return solved ? { type: 'pow', data, nonce: solved.nonce, difficulty } : null;
+};
+
+let challengeProvider = proofOfWorkChallenge;
+
+// Swap the challenge (e.g. a captcha widget's token) or pass null to disable.
+// Providers receive { formName, email } and resolve to a JSON-serializable token or null.
+export function setChallengeProvider(provider) {
+  challengeProvider = provider;
+}
+
+/********************
+ * Guard
+ ********************/
+// Run every check for one submission. The caller records it with
+// recordSubmission() only once the request is sent or queued. Resolves to
+//   { ok: true, fields }                        → merge `fields` into the payload
+//   { ok: false, reason: 'honeypot' }           → drop silently, pretend success
+//   { ok: false, reason: 'too-fast' }
+//   { ok: false, reason: 'rate-limited', retryInMs }
+export async function guardSubmission(formName, { honeypot, startedAt, email, now = Date.now() }) {
+  if (honeypot) return { ok: false, reason: 'honeypot' };
+  const elapsedMs = now - startedAt;
+  if (elapsedMs < MIN_FILL_MS) return { ok: false, reason: 'too-fast' };
+  const limit = checkRateLimit(formName, now);
+  if (!limit.allowed) return { ok: false, reason: 'rate-limited', retryInMs: limit.retryInMs };
+
+  let challenge = null;
+  try {
+    challenge = challengeProvider ? await challengeProvider({ formName, email }) : null;
+  } catch {
+    challenge = null;
+  }
+  return { ok: true, fields: { elapsedMs, challenge } };
+}
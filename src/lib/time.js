@@ -0,0 +1,54 @@
+// Wall-clock dates and times in named IANA zones. Dates are ISO strings
+// ("2026-11-04"); instants are Dates. Shared by booking requests and events.
+const pad = (n) => String(n).padStart(2, '0');
+export const isoDay = (year, monthIndex, day) => `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+
+// "2026-11-04" → "2026-11-05" (delta may be negative)
+export const addDays = (date, delta) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + delta));
+  return isoDay(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate());
+};
+
+const zoneParts = (instant, zone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(instant).map((part) => [part.type, part.value])
+);
+
+// Today's date ("2026-10-19") as seen in a zone.
+export const todayIn = (zone, now = new Date()) => {
+  const parts = zoneParts(now, zone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Minutes the zone is ahead of UTC at that instant.
+const zoneOffset = (ms, zone) => {
+  const p = zoneParts(new Date(ms), zone);
+  return (Date.UTC(+p.year, p.month - 1, +p.day, +p.hour % 24, +p.minute, +p.second) - ms) / 60000;
+};
+
+// Wall-clock date + "HH:MM" in a zone → the actual instant. The second pass
+// settles times next to a daylight-saving change.
+export function zonedTimeToUtc(date, time, zone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wall - zoneOffset(wall, zone) * 60000;
+  return new Date(wall - zoneOffset(first, zone) * 60000);
+}
+
+// "Wed, Nov 4, 7:00 PM" in en-US; `tag` is the page locale's language tag.
+export const formatInZone = (instant, zone, tag = 'en-US') => new Intl.DateTimeFormat(tag, {
+  timeZone: zone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+}).format(instant);
+
+export const isTimeZone = (zone) => {
+  if (typeof zone !== 'string' || !zone.includes('/')) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -1,8 +1,28 @@
 import React from "react";
-import { createRoot } from "react-dom/client";
+import { createRoot, hydrateRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { matchRoute, splitLocale } from "./router.jsx";
+import { ROUTES } from "./routes.js";
+import { LOCALE_PREFIXES } from "./lib/i18n.js";
+import { startOutbox } from "./lib/outbox.js";
 import "./index.css";
 
 const container = document.getElementById("root");
-const root = createRoot(container);
-root.render(<App />);
+
+const match = matchRoute(ROUTES, splitLocale(window.location.pathname, LOCALE_PREFIXES).pathname);
+
+// dist/404.html is one English page served for unknown URLs under every
+// locale prefix, so it is replaced by a client render rather than hydrated.
+if (container.hasChildNodes() && match && match.route.path !== '*') {
+  // Prerendered page: fetch the current route's chunk before hydrating so the
+  // server markup is adopted in one pass.
+  const preload = match.route.component.preload;
+  Promise.resolve(preload ? preload() : null)
+    .catch(() => {})
+    .then(() => hydrateRoot(container, <App />));
+} else {
+  createRoot(container).render(<App />);
+}
+
+// Retry form submissions that were queued while offline
+startOutbox();
@@ -0,0 +1,15 @@
+import React from "react";
+import { useHead, jsonLd } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+
+export default function About() {
+  const { t } = useI18n();
+  useHead({ jsonLd: [jsonLd.person()] });
+
+  return (
+    <div className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+      <h1 className="text-3xl font-bold">{t('about.title')}</h1>
+      <p className="text-muted mt-3">{t('about.intro')}</p>
+    </div>
+  );
+}
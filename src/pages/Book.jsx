@@ -0,0 +1,423 @@
+import React, { useEffect, useRef, useState } from "react";
+import { NavLink } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { Button, inputClass, FieldError } from "../components/ui.jsx";
+import { sendWithOutbox, createIdempotencyKey } from "../lib/outbox.js";
+import { HONEYPOT_FIELD, guardSubmission, recordSubmission } from "../lib/spam.js";
+import { BUDGETS, CONTACT_EMAIL, describeSubmitError, describeWait } from "../lib/contact.js";
+import {
+  TIMEZONES,
+  EVENT_TYPES,
+  EVENT_FORMATS,
+  AUDIENCE_SIZES,
+  addMonths,
+  monthGrid,
+  cityOf,
+  dayStatus,
+  isRequestable,
+  fetchAvailability,
+  emptyBooking,
+  validateBooking,
+  buildBookingPayload,
+} from "../lib/booking.js";
+import { isoDay, todayIn, zonedTimeToUtc, formatInZone } from "../lib/time.js";
+
+const MONTHS_AHEAD = 12;
+// Calendar weeks start on Sunday; 2026-10-18 is one.
+const WEEK = Array.from({ length: 7 }, (_, i) => isoDay(2026, 9, 18 + i));
+
+const DAY_STYLES = {
+  available: 'border-accent/40 text-ink hover:bg-accent/10',
+  tentative: 'border-line/20 text-subtle hover:bg-line/5 border-dashed',
+  unknown: 'border-line/10 text-subtle hover:bg-line/5',
+  blocked: 'border-transparent text-muted/50 line-through cursor-not-allowed',
+  past: 'border-transparent text-muted/40 cursor-not-allowed',
+};
+const MONTH = { month: 'long', year: 'numeric' };
+const DAY = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+
+// Current time in both home cities. Client-only, so prerendered markup never
+// carries a stale clock.
+function CityClocks() {
+  const { t, lang } = useI18n();
+  const [now, setNow] = useState(null);
+  useEffect(() => {
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  if (!now) return null;
+  return (
+    <p className="text-sm text-muted mt-3">
+      {t('book.now', {
+        times: TIMEZONES.map((tz) => t('book.timeIn', { time: formatInZone(now, tz.id, lang), city: t(`book.cities.${tz.city}`) })).join(' · '),
+      })}
+    </p>
+  );
+}
+
+// Month view of available / blocked days. `availability` maps ISO dates to a status.
+function Calendar({ month, onMonth, firstMonth, availability, loadState, today, selected, onSelect, error }) {
+  const { t, formatDate } = useI18n();
+  const lastMonth = addMonths(firstMonth, MONTHS_AHEAD - 1);
+  return (
+    <div aria-describedby={error ? 'date-error' : undefined}>
+      <div className="flex items-center justify-between mb-3">
+        <button
+          type="button"
+          onClick={() => onMonth(addMonths(month, -1))}
+          disabled={month <= firstMonth}
+          className="px-3 py-1.5 rounded-xl border border-line/15 hover:bg-line/5 disabled:opacity-40 disabled:cursor-not-allowed"
+          aria-label={t('book.previousMonth')}
+        >
+          ←
+        </button>
+        <h3 className="font-semibold" aria-live="polite">{formatDate(`${month}-01`, MONTH)}</h3>
+        <button
+          type="button"
+          onClick={() => onMonth(addMonths(month, 1))}
+          disabled={month >= lastMonth}
+          className="px-3 py-1.5 rounded-xl border border-line/15 hover:bg-line/5 disabled:opacity-40 disabled:cursor-not-allowed"
+          aria-label={t('book.nextMonth')}
+        >
+          →
+        </button>
+      </div>
+      <table className="w-full table-fixed border-separate border-spacing-1 text-sm" role="grid" aria-busy={loadState === 'loading'}>
+        <thead>
+          <tr>{WEEK.map((d) => <th key={d} scope="col" className="text-xs font-normal text-muted py-1">{formatDate(d, { weekday: 'short' })}</th>)}</tr>
+        </thead>
+        <tbody>
+          {monthGrid(month).map((week) => (
+            <tr key={week.find(Boolean)}>
+              {week.map((date, i) => {
+                if (!date) return <td key={`empty-${i}`} />;
+                const status = dayStatus(date, availability, today);
+                const isSelected = date === selected;
+                return (
+                  <td key={date}>
+                    <button
+                      type="button"
+                      onClick={() => onSelect(date)}
+                      disabled={!isRequestable(status)}
+                      aria-pressed={isSelected}
+                      aria-label={`${formatDate(date, DAY)}, ${t(`book.status.${status}`)}`}
+                      className={`w-full aspect-square rounded-lg border transition-colors ${isSelected ? 'bg-accent text-accent-fg border-accent' : DAY_STYLES[status]}`}
+                    >
+                      {Number(date.slice(8))}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-muted">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-accent/40" aria-hidden="true" /> {t('book.legend.available')}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-dashed border-line/30" aria-hidden="true" /> {t('book.legend.limited')}</span>
+        <span className="flex items-center gap-1"><span className="line-through">12</span> {t('book.legend.unavailable')}</span>
+      </div>
+      {loadState === 'loading' && <p className="text-xs text-muted mt-2" role="status">{t('book.loading')}</p>}
+      {loadState === 'offline' && (
+        <p className="text-xs text-muted mt-2" role="status">
+          {t('book.offline')}
+        </p>
+      )}
+      <FieldError name="date" error={error} />
+    </div>
+  );
+}
+
+// Field labels read `book.fields.<name>`; option values display as `option.<value>`.
+function FieldLabel({ name, optional }) {
+  const { t, lang } = useI18n();
+  return (
+    <label htmlFor={`book-${name}`} className="block text-xs tracking-widest text-muted mb-1">
+      {t(`book.fields.${name}`).toLocaleUpperCase(lang)}{optional ? ` ${t('contact.optional').toLocaleUpperCase(lang)}` : ''}
+    </label>
+  );
+}
+
+function SelectField({ name, options, value, error, onChange, optional = false }) {
+  const { t } = useI18n();
+  return (
+    <div>
+      <FieldLabel name={name} optional={optional} />
+      <select
+        id={`book-${name}`}
+        value={value}
+        onChange={(e) => onChange(name, e.target.value)}
+        aria-invalid={!!error}
+        aria-describedby={error ? `${name}-error` : undefined}
+        className={inputClass(!!error)}
+      >
+        <option value="">{t('contact.select')}</option>
+        {options.map((option) => <option key={option} value={option}>{t(`option.${option}`)}</option>)}
+      </select>
+      <FieldError name={name} error={error} />
+    </div>
+  );
+}
+
+function TextField({ name, value, error, onChange, type = 'text', autoComplete, optional = false }) {
+  return (
+    <div>
+      <FieldLabel name={name} optional={optional} />
+      <input
+        id={`book-${name}`}
+        type={type}
+        value={value}
+        onChange={(e) => onChange(name, e.target.value)}
+        autoComplete={autoComplete}
+        aria-invalid={!!error}
+        aria-describedby={error ? `${name}-error` : undefined}
+        className={inputClass(!!error)}
+      />
+      <FieldError name={name} error={error} />
+    </div>
+  );
+}
+
+export default function Book() {
+  const { t, formatDate, lang } = useI18n();
+  const [form, setForm] = useState(() => emptyBooking());
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+  const idempotencyKey = useRef(null);
+
+  // The calendar opens on the current month in the chosen zone. Until mount
+  // (and on the server) it has no "today", so nothing is marked past or fetched.
+  const [today, setToday] = useState('');
+  const [month, setMonth] = useState('');
+  const [availability, setAvailability] = useState({});
+  const [loadState, setLoadState] = useState('idle'); // idle | loading | ready | offline
+
+  useEffect(() => {
+    // Visitors in southern Africa most likely think in Johannesburg time
+    const guess = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    const zone = guess.startsWith('Africa/') ? 'Africa/Johannesburg' : form.timezone;
+    const current = todayIn(zone);
+    setForm((prev) => ({ ...prev, timezone: zone }));
+    setToday(current);
+    setMonth(current.slice(0, 7));
+  }, []);
+
+  useEffect(() => {
+    if (!month) return undefined;
+    let cancelled = false;
+    setLoadState('loading');
+    fetchAvailability(month)
+      .then((days) => {
+        if (cancelled) return;
+        setAvailability((prev) => ({ ...prev, ...(days || {}) }));
+        setLoadState(days ? 'ready' : 'offline');
+      })
+      .catch(() => { if (!cancelled) setLoadState('offline'); });
+    return () => { cancelled = true; };
+  }, [month]);
+
+  // Spam signals, as on the Contact form
+  const [honeypot, setHoneypot] = useState('');
+  const startedAt = useRef(0);
+  useEffect(() => { startedAt.current = Date.now(); }, []);
+
+  const setField = (name, value) => {
+    idempotencyKey.current = null;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => {
+      const { [name]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const otherZone = TIMEZONES.find((tz) => tz.id !== form.timezone).id;
+  const startsAt = form.date && /^\d{2}:\d{2}$/.test(form.startTime) ? zonedTimeToUtc(form.date, form.startTime, form.timezone) : null;
+  // "{from} is {to}." — `{to}` is left unfilled so it can be split out and emphasized.
+  const conversion = startsAt
+    ? t('book.conversion', { from: t('book.timeIn', { time: formatInZone(startsAt, form.timezone, lang), city: t(`book.cities.${cityOf(form.timezone)}`) }) }).split('{to}')
+    : [];
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const found = validateBooking(form, { availability, today: today || undefined }, t);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      setError(t('book.errors.fixFields'));
+      setStatus('error');
+      return;
+    }
+
+    setStatus('submitting');
+    setError('');
+
+    const guard = await guardSubmission('booking', { honeypot, startedAt: startedAt.current, email: form.email });
+    if (!guard.ok) {
+      if (guard.reason === 'honeypot') {
+        setStatus('success');
+        return;
+      }
+      setError(guard.reason === 'rate-limited'
+        ? t('book.errors.rateLimited', { wait: describeWait(guard.retryInMs, t) })
+        : t('book.errors.tooFast'));
+      setStatus('error');
+      return;
+    }
+
+    if (!idempotencyKey.current) idempotencyKey.current = createIdempotencyKey();
+    const result = await sendWithOutbox('/api/bookings', { ...buildBookingPayload(form), ...guard.fields }, {
+      idempotencyKey: idempotencyKey.current,
+    });
+
+    if (result.status === 'failed') {
+      const failure = describeSubmitError(result.response, t);
+      if (failure.kind === 'validation') {
+        setErrors(failure.fieldErrors);
+        setError(failure.message || t('contact.errors.fixFields'));
+      } else if (failure.kind === 'rate-limited') {
+        setError(failure.retryAfterMs != null
+          ? t('book.errors.busy', { wait: describeWait(failure.retryAfterMs, t) })
+          : t('book.errors.busyShortly'));
+      } else if (failure.kind === 'server') {
+        setError(t('book.errors.server', { email: CONTACT_EMAIL }));
+      } else {
+        setError(failure.message);
+      }
+      setStatus('error');
+      return;
+    }
+
+    recordSubmission('booking');
+    idempotencyKey.current = null;
+    setStatus(result.status === 'queued' ? 'queued' : 'success');
+  }
+
+  if (status === 'success' || status === 'queued') {
+    return (
+      <div className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)] grid gap-4 max-w-2xl">
+        <div className="text-xs tracking-[0.2em] uppercase text-accent">{t('book.request')}</div>
+        <h1 className="text-3xl font-bold">{status === 'queued' ? t('book.saved') : t('book.received')}</h1>
+        <p className="text-muted" role="status">
+          {status === 'queued'
+            ? t('book.queued')
+            : form.date
+              ? t('book.thanks', { email: form.email.trim(), date: formatDate(form.date, DAY) })
+              : t('book.thanksNoDate', { email: form.email.trim() })}
+        </p>
+        <NavLink to="/" unstyled className="text-sm text-accent hover:underline" activeClassName="">← {t('book.backHome')}</NavLink>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+      <div className="text-xs tracking-[0.2em] uppercase text-accent">{t('book.kicker')}</div>
+      <h1 className="text-3xl font-bold mt-2">{t('book.title')}</h1>
+      <p className="text-muted mt-2 max-w-2xl">{t('book.intro')}</p>
+      <CityClocks />
+
+      <form className="mt-8 grid gap-8 lg:grid-cols-2" onSubmit={onSubmit} noValidate>
+        <section className="grid gap-4 content-start">
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent">{t('book.dateAndTime')}</h2>
+          {month ? (
+            <Calendar
+              month={month}
+              onMonth={setMonth}
+              firstMonth={today.slice(0, 7)}
+              availability={availability}
+              loadState={loadState}
+              today={today}
+              selected={form.date}
+              onSelect={(date) => setField('date', date)}
+              error={errors.date}
+            />
+          ) : (
+            <div className="aspect-square rounded-xl bg-inset/20 border border-line/10" aria-hidden="true" />
+          )}
+          <div className="grid gap-3 md:grid-cols-2">
+            <TextField name="startTime" type="time" value={form.startTime} error={errors.startTime} onChange={setField} optional />
+            <div>
+              <span id="timezone-label" className="block text-xs tracking-widest uppercase text-muted mb-1">{t('book.fields.timezone')}</span>
+              <div className="flex gap-2" role="radiogroup" aria-labelledby="timezone-label">
+                {TIMEZONES.map((tz) => (
+                  <label
+                    key={tz.id}
+                    className={`flex-1 text-center cursor-pointer px-3 py-3 rounded-xl border text-sm transition-colors has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-accent ${form.timezone === tz.id ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`}
+                  >
+                    <input type="radio" name="timezone" value={tz.id} checked={form.timezone === tz.id} onChange={() => setField('timezone', tz.id)} className="sr-only" />
+                    {t(`book.cities.${tz.city}`)}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          {startsAt && (
+            <p className="text-sm text-subtle p-3 bg-inset/30 rounded-lg border border-line/10" role="status">
+              {conversion[0]}
+              <strong className="font-medium">{t('book.timeIn', { time: formatInZone(startsAt, otherZone, lang), city: t(`book.cities.${cityOf(otherZone)}`) })}</strong>
+              {conversion[1]}
+            </p>
+          )}
+        </section>
+
+        <section className="grid gap-3 content-start">
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent">{t('book.theEvent')}</h2>
+          <div className="grid gap-3 md:grid-cols-2">
+            <SelectField name="eventType" options={EVENT_TYPES} value={form.eventType} error={errors.eventType} onChange={setField} />
+            <SelectField name="format" options={EVENT_FORMATS} value={form.format} error={errors.format} onChange={setField} />
+            <SelectField name="audienceSize" options={AUDIENCE_SIZES} value={form.audienceSize} error={errors.audienceSize} onChange={setField} />
+            <SelectField name="budget" options={BUDGETS} value={form.budget} error={errors.budget} onChange={setField} optional />
+            {form.format !== 'Virtual' && (
+              <TextField name="location" value={form.location} error={errors.location} onChange={setField} />
+            )}
+            <TextField name="organization" value={form.organization} error={errors.organization} onChange={setField} autoComplete="organization" />
+          </div>
+
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mt-4">{t('book.you')}</h2>
+          <div className="grid gap-3 md:grid-cols-2">
+            <TextField name="name" value={form.name} error={errors.name} onChange={setField} autoComplete="name" />
+            <TextField name="email" type="email" value={form.email} error={errors.email} onChange={setField} autoComplete="email" />
+          </div>
+          <div>
+            <FieldLabel name="message" optional />
+            <textarea
+              id="book-message"
+              value={form.message}
+              onChange={(e) => setField('message', e.target.value)}
+              placeholder={t('book.messagePlaceholder')}
+              className={inputClass(false, 'min-h-[120px]')}
+            ></textarea>
+          </div>
+
+          {/* Honeypot: off-screen and skipped by keyboard and assistive tech */}
+          <div className="absolute -left-[10000px] w-px h-px overflow-hidden" aria-hidden="true">
+            <label htmlFor={`book-${HONEYPOT_FIELD}`}>{t('contact.honeypot')}</label>
+            <input
+              id={`book-${HONEYPOT_FIELD}`}
+              name={HONEYPOT_FIELD}
+              type="text"
+              tabIndex={-1}
+              autoComplete="off"
+              value={honeypot}
+              onChange={(e) => setHoneypot(e.target.value)}
+            />
+          </div>
+
+          {status === 'error' && (
+            <div className="text-red-400 p-3 bg-red-900/20 rounded-lg border border-red-500/20" role="alert">{error}</div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <Button variant="primary" type="submit" disabled={status === 'submitting'} aria-busy={status === 'submitting'}>
+              {status === 'submitting' ? t('contact.sending') : t('book.submit')}
+            </Button>
+            <NavLink to="/contact?type=partnership" unstyled className="text-sm text-muted hover:text-accent transition-colors" activeClassName="">
+              {t('book.partnership')}
+            </NavLink>
+          </div>
+        </section>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from "react";
+import { NavLink } from "../router.jsx";
+import { useHead, jsonLd } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { relatedEpisodes } from "../content/index.js";
+import { ExternalLink } from "../components/ui.jsx";
+import { episodePath } from "../lib/podcast.js";
+import { splitEvents, filterEvents, formatEventWhen, eventPath } from "../lib/events.js";
+import NotFound from "./NotFound.jsx";
+
+function MissingBrand() {
+  const { t } = useI18n();
+  useHead({ title: t('notFound.title'), robots: 'noindex' });
+  return <NotFound />;
+}
+
+// Internal CTAs (e.g. "/contact?type=partnership") stay in the app.
+function BrandCta({ cta }) {
+  if (cta.url.startsWith('/')) {
+    return (
+      <NavLink
+        to={cta.url}
+        className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+        activeClassName=""
+      >
+        {cta.label}
+      </NavLink>
+    );
+  }
+  return (
+    <ExternalLink
+      href={cta.url}
+      className="justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors group"
+    >
+      {cta.label}
+    </ExternalLink>
+  );
+}
+
+export default function BrandDetail({ params }) {
+  const brands = useContent('brands');
+  const episodes = useContent('episodes');
+  const events = useContent('events');
+  const brand = brands.find((b) => b.slug === params.slug);
+  // Upcoming events are picked after mount, so prerendered markup never carries a build-time clock
+  const [now, setNow] = useState(null);
+  useEffect(() => setNow(new Date()), []);
+
+  if (!brand) return <MissingBrand />;
+  return (
+    <BrandPage
+      brand={brand}
+      episodes={relatedEpisodes(brand.slug, episodes)}
+      events={now ? filterEvents(splitEvents(events, now).upcoming, { brand: brand.slug }) : []}
+    />
+  );
+}
+
+function BrandPage({ brand, episodes, events }) {
+  const { t, formatDate, lang } = useI18n();
+  useHead({
+    title: brand.name,
+    description: brand.blurb,
+    image: brand.gallery && brand.gallery.length ? brand.gallery[0].src : undefined,
+    jsonLd: [jsonLd.organization({ name: brand.name, url: brand.url, description: brand.description || brand.blurb })],
+  });
+
+  const cta = brand.cta || { label: t('brands.visit', { name: brand.name }), url: brand.url };
+
+  return (
+    <article className="grid gap-8">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <NavLink to="/brands" unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+          ← {t('brands.all')}
+        </NavLink>
+        <h1 className="text-3xl md:text-5xl font-bold mt-4">{brand.name}</h1>
+        <p className="text-muted text-lg mt-3 max-w-2xl">{brand.blurb}</p>
+        <div className="mt-6 flex flex-wrap items-center gap-4">
+          <BrandCta cta={cta} />
+          {cta.url !== brand.url && (
+            <ExternalLink href={brand.url} className="text-sm text-muted hover:text-accent transition-colors group">
+              {new URL(brand.url).hostname}
+            </ExternalLink>
+          )}
+        </div>
+      </header>
+
+      {(brand.description || (brand.highlights && brand.highlights.length > 0)) && (
+        <section className="grid md:grid-cols-2 gap-6">
+          {brand.description && (
+            <div>
+              <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brands.about')}</h2>
+              <p className="text-subtle leading-relaxed">{brand.description}</p>
+            </div>
+          )}
+          {brand.highlights && brand.highlights.length > 0 && (
+            <div>
+              <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brands.highlights')}</h2>
+              <ul className="grid gap-2">
+                {brand.highlights.map((item) => (
+                  <li key={item} className="flex gap-3 text-subtle">
+                    <span aria-hidden="true" className="text-accent">✦</span>
+                    {item}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* No placeholders: the gallery only renders when the brand has images */}
+      {brand.gallery && brand.gallery.length > 0 && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brands.gallery')}</h2>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {brand.gallery.map((image) => (
+              <figure key={image.src} className="rounded-xl overflow-hidden border border-line/10 bg-inset/20">
+                <img src={image.src} alt={image.alt} loading="lazy" className="w-full aspect-[4/3] object-cover" />
+                {image.caption && <figcaption className="text-xs text-muted p-2">{image.caption}</figcaption>}
+              </figure>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {events.length > 0 && (
+        <section>
+          <div className="flex items-baseline justify-between mb-3">
+            <h2 className="text-xs tracking-[0.2em] uppercase text-accent">{t('brands.upcomingEvents')}</h2>
+            <NavLink to={`/events?brand=${brand.slug}`} unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+              {t('events.all')} →
+            </NavLink>
+          </div>
+          <ul className="grid gap-2">
+            {events.map((event) => (
+              <li key={event.slug}>
+                <NavLink to={eventPath(event.slug)} unstyled className="flex flex-wrap justify-between gap-x-4 py-2 border-b border-line/10 hover:text-accent transition-colors" activeClassName="">
+                  <span>{event.title}</span>
+                  <span className="text-sm text-muted">{formatEventWhen(event, lang)} · {event.city}</span>
+                </NavLink>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {episodes.length > 0 && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brands.onThePodcast')}</h2>
+          <ul className="border-t border-line/10">
+            {episodes.map((ep) => (
+              <li key={ep.slug}>
+                <NavLink
+                  to={episodePath(ep.slug)}
+                  unstyled
+                  className="flex gap-4 items-center py-4 border-b border-line/10 group hover:bg-line/5 rounded-lg px-2 transition-colors"
+                  activeClassName=""
+                >
+                  <span className="w-9 h-9 rounded-full border border-line/20 grid place-items-center group-hover:bg-accent group-hover:text-accent-fg transition-colors">▶</span>
+                  <div className="flex-1">
+                    <div className="font-light">{ep.title}</div>
+                    <div className="text-xs text-muted flex gap-4"><span>{formatDate(ep.date)}</span><span>{ep.duration}</span></div>
+                  </div>
+                </NavLink>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </article>
+  );
+}
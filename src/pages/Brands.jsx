@@ -0,0 +1,45 @@
+import React from "react";
+import { useHead, jsonLd } from "../head.jsx";
+import { NavLink } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { ExternalLink } from "../components/ui.jsx";
+
+// The whole card opens the brand's page here; the site link sits above the overlay.
+function BrandCard({ slug, name, blurb, url }){
+  return (
+    <article 
+      className="relative bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)] hover:opacity-90 transition-all hover:shadow-[0_0_50px_rgba(212,175,55,0.2)]" 
+      data-aos="fade-up"
+    >
+      <h2 className="text-xl font-semibold">
+        <NavLink to={`/brands/${slug}`} unstyled className="after:absolute after:inset-0 after:rounded-2xl" activeClassName="">
+          {name}
+        </NavLink>
+      </h2>
+      <p className="text-muted mt-2">{blurb}</p>
+      <ExternalLink href={url} className="relative z-10 mt-4 text-xs tracking-widest text-muted hover:text-accent transition-colors group">
+        {new URL(url).hostname.replace(/^www\./, '')}
+      </ExternalLink>
+    </article>
+  );
+}
+
+export default function Brands() {
+  const { t } = useI18n();
+  const brands = useContent('brands');
+  useHead({
+    jsonLd: brands.map((brand) => jsonLd.organization({ name: brand.name, url: brand.url, description: brand.blurb })),
+  });
+
+  return (
+    <div className="grid gap-6">
+      <h1 className="text-3xl font-bold">{t('brands.title')}</h1>
+      <div className="grid md:grid-cols-3 gap-6">
+        {brands.map((brand) => (
+          <BrandCard key={brand.slug} {...brand} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React from "react";
+import { NavLink, useRouter, useHydratedSearchParams } from "../router.jsx";
+import { useHead, jsonLd } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { programs, getBrand } from "../content/index.js";
+import { FilterGroup } from "../components/ui.jsx";
+import { programFacets, filterPrograms, upcomingCohorts, programPath, applyPath } from "../lib/brgr.js";
+
+// Level, duration, format and "upcoming cohort" live in the query string (?level=&duration=&format=&upcoming=1).
+export default function Brgr() {
+  const { t, formatDate } = useI18n();
+  const { setSearchParams } = useRouter();
+  const searchParams = useHydratedSearchParams();
+  const brand = getBrand('brgr-collective');
+  const filters = {
+    level: searchParams.get('level') || '',
+    duration: searchParams.get('duration') || '',
+    format: searchParams.get('format') || '',
+    upcoming: searchParams.get('upcoming') === '1',
+  };
+  const facets = programFacets(programs);
+  const results = filterPrograms(programs, filters);
+  const filtered = filters.level || filters.duration || filters.format || filters.upcoming;
+
+  useHead({ jsonLd: [jsonLd.organization({ name: brand.name, url: brand.url, description: brand.description || brand.blurb })] });
+
+  const update = (changes) => setSearchParams({
+    level: filters.level,
+    duration: filters.duration,
+    format: filters.format,
+    upcoming: filters.upcoming ? '1' : '',
+    ...changes,
+  });
+
+  return (
+    <div className="grid gap-6">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <div className="text-xs tracking-[0.2em] text-accent">BRGR COLLECTIVE</div>
+        <h1 className="text-3xl md:text-4xl font-bold mt-2">{t('brgr.title')}</h1>
+        <p className="text-muted mt-3 max-w-2xl">{brand.blurb}</p>
+        <div className="mt-6 flex flex-wrap items-center gap-4">
+          <NavLink
+            to={applyPath()}
+            className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            activeClassName=""
+          >
+            {t('home.brgr.apply')}
+          </NavLink>
+          <NavLink to={`/brands/${brand.slug}`} unstyled className="text-sm text-muted hover:text-accent transition-colors" activeClassName="">
+            {t('brgr.about')} →
+          </NavLink>
+        </div>
+      </header>
+
+      <div className="grid gap-3">
+        <FilterGroup label={t('brgr.level')} value={filters.level} options={facets.levels} onChange={(level) => update({ level })} />
+        <FilterGroup label={t('brgr.duration')} value={filters.duration} options={facets.durations} onChange={(duration) => update({ duration })} />
+        <FilterGroup label={t('brgr.format')} value={filters.format} options={facets.formats} onChange={(format) => update({ format })} />
+        {facets.hasCohorts && (
+          <label className="flex items-center gap-2 text-sm text-muted">
+            <input type="checkbox" checked={filters.upcoming} onChange={(e) => update({ upcoming: e.target.checked ? '1' : '' })} className="accent-accent" />
+            {t('brgr.upcomingOnly')}
+          </label>
+        )}
+      </div>
+
+      <p className="text-sm text-muted" role="status">
+        {t(filtered ? 'brgr.found' : 'brgr.count', { count: results.length })}
+      </p>
+
+      {results.length > 0 ? (
+        <ul className="grid md:grid-cols-3 gap-6">
+          {results.map((program) => {
+            const next = upcomingCohorts(program)[0];
+            return (
+              <li key={program.slug} className="relative border border-line/10 bg-inset/20 p-6 rounded-2xl hover:border-accent/40 hover:shadow-lg transition-all duration-300 flex flex-col">
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <span className="text-xs bg-accent/15 text-accent px-2 py-0.5 rounded">{program.duration}</span>
+                  <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">{program.level}</span>
+                  {program.format && <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">{program.format}</span>}
+                </div>
+                <h2 className="text-lg font-light mb-2">
+                  {/* The title link covers the whole card */}
+                  <NavLink to={programPath(program.slug)} unstyled className="hover:text-accent transition-colors after:absolute after:inset-0" activeClassName="">
+                    {program.title}
+                  </NavLink>
+                </h2>
+                <p className="text-muted text-sm flex-1">{program.description}</p>
+                <p className="text-xs text-muted mt-4">
+                  {next ? t('brgr.nextCohort', { date: formatDate(next.start) }) : t('brgr.nextCohortTba')}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <div className="text-muted p-6 bg-inset/30 rounded-lg border border-line/10">
+          {t('brgr.noMatches')}{' '}
+          <button type="button" className="text-accent hover:underline" onClick={() => setSearchParams({})}>{t('events.clearFilters')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,457 @@
+import React, { useEffect, useRef, useState } from "react";
+import { NavLink, useRouter } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { Button, inputClass, FieldError } from "../components/ui.jsx";
+import { programs } from "../content/index.js";
+import { sendWithOutbox, createIdempotencyKey } from "../lib/outbox.js";
+import { HONEYPOT_FIELD, guardSubmission, recordSubmission } from "../lib/spam.js";
+import { CONTACT_EMAIL, describeSubmitError, describeWait } from "../lib/contact.js";
+import {
+  APPLICATION_STEPS,
+  ELIGIBILITY_QUESTIONS,
+  COUNTRIES,
+  MOTIVATION_MIN_LENGTH,
+  emptyApplication,
+  validateApplicationStep,
+  firstInvalidStep,
+  stepForField,
+  buildApplicationPayload,
+  upcomingCohorts,
+  loadApplicationProgress,
+  saveApplicationProgress,
+  clearApplicationProgress,
+  programPath,
+} from "../lib/brgr.js";
+
+const optionClass = (selected) => (
+  `cursor-pointer px-3 py-2 rounded-xl border text-sm transition-colors has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-accent ${selected ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`
+);
+
+// Radio buttons styled like the Contact inquiry-type picker.
+function Choice({ name, legend, options, value, error, onChange }) {
+  return (
+    <fieldset aria-describedby={error ? `${name}-error` : undefined}>
+      <legend className="text-sm text-subtle mb-2">{legend}</legend>
+      <div className="flex flex-wrap gap-2">
+        {options.map((option) => (
+          <label key={option.value} className={optionClass(value === option.value)}>
+            <input
+              type="radio"
+              name={name}
+              value={option.value}
+              checked={value === option.value}
+              onChange={() => onChange(name, option.value)}
+              className="sr-only"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <FieldError name={name} error={error} />
+    </fieldset>
+  );
+}
+
+function Progress({ step, onJump, reachable }) {
+  const { t } = useI18n();
+  const current = APPLICATION_STEPS.findIndex((s) => s.id === step);
+  return (
+    <ol className="flex flex-wrap gap-2 text-xs tracking-widest uppercase" aria-label={t('apply.progress')}>
+      {APPLICATION_STEPS.map((s, i) => (
+        <li key={s.id}>
+          <button
+            type="button"
+            onClick={() => onJump(s.id)}
+            disabled={!reachable(s.id)}
+            aria-current={s.id === step ? 'step' : undefined}
+            className={`px-3 py-1.5 rounded-xl border transition-colors disabled:cursor-not-allowed ${s.id === step ? 'border-accent text-accent bg-accent/10' : i < current ? 'border-line/20 text-subtle hover:bg-line/5' : 'border-line/10 text-muted'}`}
+          >
+            {i + 1}. {t(`apply.steps.${s.id}`)}
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ReviewRow({ label, value }) {
+  return (
+    <div className="grid md:grid-cols-3 gap-1 py-2 border-b border-line/10">
+      <dt className="text-xs tracking-widest uppercase text-muted">{label}</dt>
+      <dd className="md:col-span-2 text-subtle whitespace-pre-line">{value || '—'}</dd>
+    </div>
+  );
+}
+
+export default function BrgrApply() {
+  const { t, formatDate } = useI18n();
+  const { searchParams } = useRouter();
+  const requestedProgram = searchParams.get('program');
+  const [form, setForm] = useState(() => emptyApplication());
+  const [step, setStep] = useState(APPLICATION_STEPS[0].id);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+  const headingRef = useRef(null);
+  const idempotencyKey = useRef(null);
+
+  const program = programs.find((p) => p.slug === form.program) || null;
+  const cohorts = program ? upcomingCohorts(program) : [];
+
+  // Spam signals, as on the Contact form
+  const [honeypot, setHoneypot] = useState('');
+  const startedAt = useRef(0);
+  useEffect(() => { startedAt.current = Date.now(); }, []);
+
+  // Restore saved progress after mount (so prerendered markup hydrates
+  // cleanly), then save on every change. A `?program=` link wins over the
+  // saved choice of program. The first save run is skipped so the empty
+  // initial form does not overwrite what is about to be restored.
+  const [progressRestored, setProgressRestored] = useState(false);
+  const progressReady = useRef(false);
+  useEffect(() => {
+    const saved = loadApplicationProgress();
+    const requested = programs.some((p) => p.slug === requestedProgram) ? requestedProgram : null;
+    if (saved) {
+      setForm(requested && requested !== saved.form.program ? { ...saved.form, program: requested, cohort: '' } : saved.form);
+      setStep(saved.step);
+      setProgressRestored(true);
+    } else if (requested) {
+      setForm(emptyApplication(requested));
+    }
+  }, [requestedProgram]);
+  useEffect(() => {
+    if (!progressReady.current) {
+      progressReady.current = true;
+      return;
+    }
+    if (status !== 'success' && status !== 'queued') saveApplicationProgress(form, step);
+  }, [form, step, status]);
+
+  const setField = (name, value) => {
+    idempotencyKey.current = null;
+    setForm((prev) => ({ ...prev, [name]: value, ...(name === 'program' ? { cohort: '' } : {}) }));
+    setErrors((prev) => {
+      const { [name]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const goTo = (next) => {
+    setStep(next);
+    setError('');
+    // Move focus to the new step's heading so keyboard and screen-reader users follow along
+    requestAnimationFrame(() => headingRef.current && headingRef.current.focus());
+  };
+
+  // A step can be visited once every step before it is complete.
+  const reachable = (target) => {
+    const index = APPLICATION_STEPS.findIndex((s) => s.id === target);
+    return APPLICATION_STEPS.slice(0, index).every((s) => !Object.keys(validateApplicationStep(s.id, form, programs, t)).length);
+  };
+
+  const next = () => {
+    const stepErrors = validateApplicationStep(step, form, programs, t);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length) return;
+    goTo(APPLICATION_STEPS[APPLICATION_STEPS.findIndex((s) => s.id === step) + 1].id);
+  };
+  const back = () => goTo(APPLICATION_STEPS[APPLICATION_STEPS.findIndex((s) => s.id === step) - 1].id);
+
+  const startOver = () => {
+    clearApplicationProgress();
+    setProgressRestored(false);
+    setErrors({});
+    setForm(emptyApplication());
+    goTo(APPLICATION_STEPS[0].id);
+  };
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (step !== 'review') return next();
+
+    const invalid = firstInvalidStep(form, programs, t);
+    if (invalid && invalid !== 'review') {
+      setErrors(validateApplicationStep(invalid, form, programs, t));
+      goTo(invalid);
+      return;
+    }
+
+    setStatus('submitting');
+    setError('');
+
+    const guard = await guardSubmission('brgr-apply', { honeypot, startedAt: startedAt.current, email: form.email });
+    if (!guard.ok) {
+      if (guard.reason === 'honeypot') {
+        // Look successful so bots learn nothing
+        setStatus('success');
+        return;
+      }
+      setError(guard.reason === 'rate-limited'
+        ? t('apply.errors.rateLimited', { wait: describeWait(guard.retryInMs, t) })
+        : t('apply.errors.tooFast'));
+      setStatus('error');
+      return;
+    }
+
+    if (!idempotencyKey.current) idempotencyKey.current = createIdempotencyKey();
+    const result = await sendWithOutbox('/api/brgr/applications', { ...buildApplicationPayload(form), ...guard.fields }, {
+      idempotencyKey: idempotencyKey.current,
+    });
+
+    if (result.status === 'failed') {
+      const failure = describeSubmitError(result.response, t);
+      if (failure.kind === 'validation') {
+        const fields = Object.keys(failure.fieldErrors);
+        setErrors(failure.fieldErrors);
+        if (fields.length) goTo(stepForField(fields[0]));
+        setError(failure.message || t('apply.errors.fixFields'));
+      } else if (failure.kind === 'rate-limited') {
+        setError(failure.retryAfterMs != null
+          ? t('apply.errors.busy', { wait: describeWait(failure.retryAfterMs, t) })
+          : t('apply.errors.busyShortly'));
+      } else if (failure.kind === 'server') {
+        setError(t('apply.errors.server', { email: CONTACT_EMAIL }));
+      } else {
+        setError(failure.message);
+      }
+      setStatus('error');
+      return;
+    }
+
+    // Sent or safely queued: the saved progress is no longer needed
+    recordSubmission('brgr-apply');
+    idempotencyKey.current = null;
+    clearApplicationProgress();
+    setStatus(result.status === 'queued' ? 'queued' : 'success');
+  }
+
+  const heading = (
+    <h2 ref={headingRef} tabIndex={-1} className="text-xl font-semibold focus:outline-none">
+      {t(`apply.steps.${step}`)}
+    </h2>
+  );
+
+  if (status === 'success' || status === 'queued') {
+    return (
+      <div className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)] grid gap-4 max-w-2xl">
+        <div className="text-xs tracking-[0.2em] text-accent">BRGR COLLECTIVE</div>
+        <h1 className="text-3xl font-bold">{status === 'queued' ? t('apply.saved') : t('apply.received')}</h1>
+        <p className="text-muted" role="status">
+          {status === 'queued'
+            ? t('apply.queued')
+            : form.name.trim()
+              ? t('apply.thanksName', { name: form.name.trim().split(/\s+/)[0], email: form.email.trim() })
+              : t('apply.thanks', { email: form.email.trim() })}
+        </p>
+        <NavLink to="/brgr" unstyled className="text-sm text-accent hover:underline" activeClassName="">
+          ← {t('apply.backToPrograms')}
+        </NavLink>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+      <NavLink to="/brgr" unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+        ← {t('home.brgr.all')}
+      </NavLink>
+      <h1 className="text-3xl font-bold mt-3">{t('apply.title')}</h1>
+      <p className="text-muted mt-2">{t('apply.intro')}</p>
+
+      <div className="mt-6">
+        <Progress step={step} onJump={goTo} reachable={reachable} />
+      </div>
+
+      <form className="mt-6 grid gap-5 max-w-2xl" onSubmit={onSubmit} noValidate>
+        {progressRestored && (
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-muted p-3 bg-inset/30 rounded-lg border border-line/10" role="status">
+            <span>{t('apply.restored')}</span>
+            <button type="button" className="text-accent hover:underline" onClick={startOver}>
+              {t('contact.startOver')}
+            </button>
+          </div>
+        )}
+
+        {heading}
+
+        {step === 'program' && (
+          <>
+            <Choice
+              name="program"
+              legend={t('apply.programQuestion')}
+              options={programs.map((p) => ({ value: p.slug, label: `${p.title} · ${p.level}` }))}
+              value={form.program}
+              error={errors.program}
+              onChange={setField}
+            />
+            {program && (
+              <p className="text-sm text-muted">
+                {program.duration}. {program.description}{' '}
+                <NavLink to={programPath(program.slug)} unstyled className="text-accent hover:underline" activeClassName="">{t('apply.programDetails')}</NavLink>
+              </p>
+            )}
+            {cohorts.length > 0 && (
+              <Choice
+                name="cohort"
+                legend={t('apply.cohortQuestion')}
+                options={[
+                  ...cohorts.map((c) => ({ value: c.start, label: `${formatDate(c.start)}${c.location ? ` · ${c.location}` : ''}` })),
+                  { value: '', label: t('apply.anyCohort') },
+                ]}
+                value={form.cohort}
+                error={errors.cohort}
+                onChange={setField}
+              />
+            )}
+          </>
+        )}
+
+        {step === 'eligibility' && ELIGIBILITY_QUESTIONS.map((q) => (
+          <Choice
+            key={q.name}
+            name={q.name}
+            legend={t(`apply.questions.${q.name}`)}
+            options={q.options.map((option) => ({ value: option, label: t(`option.${option}`) }))}
+            value={form[q.name]}
+            error={errors[q.name]}
+            onChange={setField}
+          />
+        ))}
+
+        {step === 'about' && (
+          <>
+            <div className="grid gap-3 md:grid-cols-2">
+              {[
+                { name: 'name', label: t('apply.fullName'), autoComplete: 'name' },
+                { name: 'email', label: t('apply.fields.email'), type: 'email', autoComplete: 'email' },
+              ].map((field) => (
+                <div key={field.name}>
+                  <label htmlFor={`apply-${field.name}`} className="block text-xs tracking-widest uppercase text-muted mb-1">{field.label}</label>
+                  <input
+                    id={`apply-${field.name}`}
+                    type={field.type || 'text'}
+                    value={form[field.name]}
+                    onChange={(e) => setField(field.name, e.target.value)}
+                    autoComplete={field.autoComplete}
+                    aria-invalid={!!errors[field.name]}
+                    aria-describedby={errors[field.name] ? `${field.name}-error` : undefined}
+                    className={inputClass(!!errors[field.name])}
+                  />
+                  <FieldError name={field.name} error={errors[field.name]} />
+                </div>
+              ))}
+              <div>
+                <label htmlFor="apply-country" className="block text-xs tracking-widest uppercase text-muted mb-1">{t('apply.fields.country')}</label>
+                <select
+                  id="apply-country"
+                  value={form.country}
+                  onChange={(e) => setField('country', e.target.value)}
+                  aria-invalid={!!errors.country}
+                  aria-describedby={errors.country ? 'country-error' : undefined}
+                  className={inputClass(!!errors.country)}
+                >
+                  <option value="">{t('contact.select')}</option>
+                  {COUNTRIES.map((country) => <option key={country} value={country}>{t(`option.${country}`)}</option>)}
+                </select>
+                <FieldError name="country" error={errors.country} />
+              </div>
+              <div>
+                <label htmlFor="apply-city" className="block text-xs tracking-widest uppercase text-muted mb-1">{t('apply.fields.city')}</label>
+                <input
+                  id="apply-city"
+                  value={form.city}
+                  onChange={(e) => setField('city', e.target.value)}
+                  autoComplete="address-level2"
+                  aria-invalid={!!errors.city}
+                  aria-describedby={errors.city ? 'city-error' : undefined}
+                  className={inputClass(!!errors.city)}
+                />
+                <FieldError name="city" error={errors.city} />
+              </div>
+            </div>
+            <div>
+              <label htmlFor="apply-motivation" className="block text-xs tracking-widest uppercase text-muted mb-1">{t('apply.motivationQuestion')}</label>
+              <textarea
+                id="apply-motivation"
+                value={form.motivation}
+                onChange={(e) => setField('motivation', e.target.value)}
+                aria-invalid={!!errors.motivation}
+                aria-describedby={errors.motivation ? 'motivation-error' : 'motivation-hint'}
+                className={inputClass(!!errors.motivation, 'min-h-[160px]')}
+              ></textarea>
+              {errors.motivation
+                ? <FieldError name="motivation" error={errors.motivation} />
+                : <p id="motivation-hint" className="text-xs text-muted mt-1">{t('apply.motivationHint', { count: MOTIVATION_MIN_LENGTH })}</p>}
+            </div>
+          </>
+        )}
+
+        {step === 'review' && (
+          <div className="grid gap-6">
+            {[
+              {
+                id: 'program',
+                rows: [
+                  [t('apply.fields.program'), program && program.title],
+                  ...(cohorts.length ? [[t('apply.fields.cohort'), form.cohort ? formatDate(form.cohort) : t('apply.any')]] : []),
+                ],
+              },
+              { id: 'eligibility', rows: ELIGIBILITY_QUESTIONS.map((q) => [t(`apply.questions.${q.name}`), form[q.name] && t(`option.${form[q.name]}`)]) },
+              {
+                id: 'about',
+                rows: [
+                  [t('apply.fields.name'), form.name],
+                  [t('apply.fields.email'), form.email],
+                  [t('apply.fields.location'), [form.city, form.country && t(`option.${form.country}`)].filter(Boolean).join(', ')],
+                  [t('apply.fields.motivation'), form.motivation],
+                ],
+              },
+            ].map((section) => (
+              <section key={section.id}>
+                <div className="flex items-center justify-between">
+                  <h3 className="text-xs tracking-[0.2em] uppercase text-accent">{t(`apply.steps.${section.id}`)}</h3>
+                  <button type="button" className="text-sm text-accent hover:underline" onClick={() => goTo(section.id)}>{t('apply.edit')}</button>
+                </div>
+                <dl className="mt-2">
+                  {section.rows.map(([label, value]) => <ReviewRow key={label} label={label} value={value} />)}
+                </dl>
+              </section>
+            ))}
+          </div>
+        )}
+
+        {/* Honeypot: off-screen and skipped by keyboard and assistive tech */}
+        <div className="absolute -left-[10000px] w-px h-px overflow-hidden" aria-hidden="true">
+          <label htmlFor={`apply-${HONEYPOT_FIELD}`}>{t('contact.honeypot')}</label>
+          <input
+            id={`apply-${HONEYPOT_FIELD}`}
+            name={HONEYPOT_FIELD}
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            value={honeypot}
+            onChange={(e) => setHoneypot(e.target.value)}
+          />
+        </div>
+
+        {status === 'error' && (
+          <div className="text-red-400 p-3 bg-red-900/20 rounded-lg border border-red-500/20" role="alert">
+            {error}
+          </div>
+        )}
+
+        <div className="flex items-center gap-3">
+          {step !== APPLICATION_STEPS[0].id && (
+            <button type="button" onClick={back} className="px-4 py-2 rounded-2xl border border-line/15 hover:bg-line/5 transition-colors">
+              {t('apply.back')}
+            </button>
+          )}
+          <Button variant="primary" type="submit" disabled={status === 'submitting'} aria-busy={status === 'submitting'}>
+            {step !== 'review' ? t('apply.continue') : status === 'submitting' ? t('apply.submitting') : t('apply.submit')}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+}
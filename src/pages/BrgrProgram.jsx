@@ -0,0 +1,103 @@
+import React from "react";
+import { NavLink } from "../router.jsx";
+import { useHead, jsonLd } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { programs, getBrand } from "../content/index.js";
+import { ExternalLink } from "../components/ui.jsx";
+import { upcomingCohorts, applyPath } from "../lib/brgr.js";
+import NotFound from "./NotFound.jsx";
+
+function MissingProgram() {
+  const { t } = useI18n();
+  useHead({ title: t('notFound.title'), robots: 'noindex' });
+  return <NotFound />;
+}
+
+export default function BrgrProgram({ params }) {
+  const program = programs.find((p) => p.slug === params.slug);
+  if (!program) return <MissingProgram />;
+  return <ProgramPage program={program} />;
+}
+
+function ProgramPage({ program }) {
+  const { t, formatDate } = useI18n();
+  const brand = getBrand(program.brand);
+  const cohorts = upcomingCohorts(program);
+
+  useHead({
+    title: program.title,
+    description: program.description,
+    jsonLd: [jsonLd.course({ name: program.title, description: program.description, level: program.level, provider: brand })],
+  });
+
+  return (
+    <article className="grid gap-8">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <NavLink to="/brgr" unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+          ← {t('home.brgr.all')}
+        </NavLink>
+        <div className="text-xs tracking-[0.2em] text-accent mt-4">BRGR COLLECTIVE</div>
+        <h1 className="text-3xl md:text-5xl font-bold mt-2">{program.title}</h1>
+        <div className="flex flex-wrap items-center gap-2 mt-4">
+          <span className="text-xs bg-accent/15 text-accent px-2 py-0.5 rounded">{program.duration}</span>
+          <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">{program.level}</span>
+          {program.format && <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">{program.format}</span>}
+        </div>
+        <p className="text-muted text-lg mt-4 max-w-2xl">{program.description}</p>
+        <div className="mt-6 flex flex-wrap items-center gap-4">
+          <NavLink
+            to={applyPath(program.slug)}
+            className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            activeClassName=""
+          >
+            {t('brgr.applyFor')}
+          </NavLink>
+          <ExternalLink href={program.url} className="text-sm text-muted hover:text-accent transition-colors group">
+            {new URL(program.url).hostname}
+          </ExternalLink>
+        </div>
+      </header>
+
+      <section className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brgr.cohorts')}</h2>
+          {cohorts.length > 0 ? (
+            <ul className="grid gap-2">
+              {cohorts.map((cohort) => (
+                <li key={cohort.start} className="flex gap-3 text-subtle">
+                  <span aria-hidden="true" className="text-accent">✦</span>
+                  <span>
+                    {t('brgr.starts')} <time dateTime={cohort.start}>{formatDate(cohort.start)}</time>
+                    {cohort.location ? ` · ${cohort.location}` : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-subtle">{t('brgr.noCohorts')}</p>
+          )}
+        </div>
+        {program.prerequisites && (
+          <div>
+            <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brgr.prerequisites')}</h2>
+            <p className="text-subtle leading-relaxed">{program.prerequisites}</p>
+          </div>
+        )}
+      </section>
+
+      {program.outcomes && program.outcomes.length > 0 && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('brgr.outcomes')}</h2>
+          <ul className="grid gap-2">
+            {program.outcomes.map((outcome) => (
+              <li key={outcome} className="flex gap-3 text-subtle">
+                <span aria-hidden="true" className="text-accent">✦</span>
+                {outcome}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,372 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button, inputClass, FieldError } from "../components/ui.jsx";
+import { NavLink, useRouter } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { sendWithOutbox, subscribeOutbox, getQueuedSubmissions, createIdempotencyKey } from "../lib/outbox.js";
+import { HONEYPOT_FIELD, guardSubmission, recordSubmission } from "../lib/spam.js";
+import {
+  INQUIRY_TYPES,
+  getInquiryType,
+  emptyContactForm,
+  validateInquiry,
+  buildInquiryPayload,
+  CONTACT_EMAIL,
+  loadContactDraft,
+  saveContactDraft,
+  clearContactDraft,
+  describeSubmitError,
+  describeWait,
+  buildMailtoLink,
+} from "../lib/contact.js";
+
+// One type-specific field (text, url, date or select) from INQUIRY_TYPES.
+function InquiryField({ typeId, field, value, error, onChange }) {
+  const { t, lang } = useI18n();
+  const common = {
+    id: `contact-${field.name}`,
+    value: value || '',
+    onChange: (e) => onChange(field.name, e.target.value),
+    'aria-invalid': !!error,
+    'aria-describedby': error ? `${field.name}-error` : undefined,
+    required: field.required,
+  };
+
+  return (
+    <div>
+      <label htmlFor={common.id} className="block text-xs tracking-widest text-muted mb-1">
+        {t(`contact.fields.${typeId}.${field.name}`).toLocaleUpperCase(lang)}{field.required ? '' : ` ${t('contact.optional').toLocaleUpperCase(lang)}`}
+      </label>
+      {field.type === 'select' ? (
+        <select {...common} className={inputClass(!!error)}>
+          <option value="">{t('contact.select')}</option>
+          {field.options.map((option) => <option key={option} value={option}>{t(`option.${option}`)}</option>)}
+        </select>
+      ) : (
+        <input
+          {...common}
+          type={field.type}
+          className={inputClass(!!error)}
+          placeholder={field.type === 'url' ? 'https://' : undefined}
+        />
+      )}
+      <FieldError name={field.name} error={error} />
+    </div>
+  );
+}
+
+export default function Contact() {
+  const { searchParams } = useRouter();
+  const { t, lang } = useI18n();
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+  const [mailtoHref, setMailtoHref] = useState('');
+  const [form, setForm] = useState(() => emptyContactForm());
+  const inquiryType = getInquiryType(form.type);
+  const requestedType = searchParams.get('type');
+
+  // Form validation
+  const [formErrors, setFormErrors] = useState({});
+  const validateForm = () => {
+    const errors = validateInquiry(form, t);
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  // One key per inquiry: resubmitting the same form after an error reuses it,
+  // so the backend can discard a duplicate if the first attempt did land.
+  const idempotencyKey = useRef(null);
+  const queuedIds = useRef(new Set());
+  const [queuedCount, setQueuedCount] = useState(0);
+
+  // Spam signals: a field only bots fill in, and when the form was first shown
+  const [honeypot, setHoneypot] = useState('');
+  const startedAt = useRef(0);
+  useEffect(() => { startedAt.current = Date.now(); }, []);
+
+  const setField = (name, value) => {
+    idempotencyKey.current = null;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Track contact messages still waiting in the offline outbox (from this or an earlier visit)
+  useEffect(() => {
+    const countContact = () => getQueuedSubmissions().filter((entry) => entry.path === '/api/contact').length;
+    setQueuedCount(countContact());
+    return subscribeOutbox((event) => {
+      setQueuedCount(countContact());
+      if (!event.entry || !queuedIds.current.has(event.entry.id)) return;
+      queuedIds.current.delete(event.entry.id);
+      if (event.type === 'sent') setStatus('success');
+      if (event.type === 'failed') {
+        setError(t('contact.errors.queuedRejected'));
+        setStatus('error');
+      }
+    });
+  }, [t]);
+
+  // Restore an unsent draft after mount (so prerendered markup hydrates cleanly),
+  // then autosave every field change. The first save run is skipped so the
+  // empty initial form does not overwrite the draft before it is restored.
+  const [draftRestored, setDraftRestored] = useState(false);
+  const draftReady = useRef(false);
+  useEffect(() => {
+    const draft = loadContactDraft();
+    if (draft) {
+      setForm(draft);
+      setDraftRestored(true);
+    }
+  }, []);
+  useEffect(() => {
+    if (!draftReady.current) {
+      draftReady.current = true;
+      return;
+    }
+    saveContactDraft(form);
+  }, [form]);
+
+  const discardDraft = () => {
+    clearContactDraft();
+    setDraftRestored(false);
+    setFormErrors({});
+    setForm(emptyContactForm(form.type));
+  };
+
+  // Switching type keeps shared fields and drops errors for fields no longer shown
+  const setType = (type) => {
+    setField('type', type);
+    const visible = new Set(['name', 'email', 'message', ...getInquiryType(type).fields.map((f) => f.name)]);
+    setFormErrors((prev) => Object.fromEntries(Object.entries(prev).filter(([key]) => visible.has(key))));
+  };
+
+  // `?type=booking` (etc.) preselects the inquiry type. Applied after mount so
+  // prerendered markup hydrates cleanly.
+  useEffect(() => {
+    if (requestedType) setType(getInquiryType(requestedType).id);
+  }, [requestedType]);
+
+  async function onSubmit(e){
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setStatus('submitting');
+    setError('');
+    setMailtoHref('');
+
+    const guard = await guardSubmission('contact', { honeypot, startedAt: startedAt.current, email: form.email });
+    if (!guard.ok) {
+      if (guard.reason === 'honeypot') {
+        // Look successful so bots learn nothing
+        setStatus('success');
+        setForm(emptyContactForm(form.type));
+        return;
+      }
+      setError(guard.reason === 'rate-limited'
+        ? t('contact.errors.rateLimited', { wait: describeWait(guard.retryInMs, t) })
+        : t('contact.errors.tooFast'));
+      setStatus('error');
+      return;
+    }
+
+    if (!idempotencyKey.current) idempotencyKey.current = createIdempotencyKey();
+    const result = await sendWithOutbox('/api/contact', { ...buildInquiryPayload(form), ...guard.fields }, {
+      idempotencyKey: idempotencyKey.current,
+    });
+
+    if (result.status === 'failed') {
+      const failure = describeSubmitError(result.response, t);
+      if (failure.kind === 'validation') {
+        setFormErrors(failure.fieldErrors);
+        setError(failure.message || t('contact.errors.fixFields'));
+      } else if (failure.kind === 'rate-limited') {
+        setError(failure.retryAfterMs != null
+          ? t('contact.errors.busy', { wait: describeWait(failure.retryAfterMs, t) })
+          : t('contact.errors.busyShortly'));
+      } else if (failure.kind === 'server') {
+        setError(t('contact.errors.server'));
+        setMailtoHref(buildMailtoLink(form, CONTACT_EMAIL, t));
+      } else {
+        setError(failure.message);
+      }
+      setStatus('error');
+      return;
+    }
+
+    // Sent or safely queued: either way the draft is no longer needed here
+    if (result.status === 'queued') queuedIds.current.add(result.id);
+    recordSubmission('contact');
+    idempotencyKey.current = null;
+    startedAt.current = Date.now();
+    clearContactDraft();
+    setDraftRestored(false);
+    setStatus(result.status === 'queued' ? 'queued' : 'success');
+    setForm(emptyContactForm(form.type)); // Clear form on success
+  }
+
+  return (
+    <div className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+      <h1 className="text-3xl font-bold">{t('contact.title')}</h1>
+      <p className="text-muted mt-2">{t('contact.intro')}</p>
+
+      <form className="mt-6 grid gap-3 max-w-xl" onSubmit={onSubmit} noValidate>
+        {draftRestored && (
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-muted p-3 bg-inset/30 rounded-lg border border-line/10" role="status">
+            <span>{t('contact.draftRestored')}</span>
+            <button type="button" className="text-accent hover:underline" onClick={discardDraft}>
+              {t('contact.startOver')}
+            </button>
+          </div>
+        )}
+
+        <fieldset>
+          <legend className="text-xs tracking-widest text-muted mb-2">{t('contact.topic').toLocaleUpperCase(lang)}</legend>
+          <div className="flex flex-wrap gap-2">
+            {INQUIRY_TYPES.map((type) => (
+              <label
+                key={type.id}
+                className={`cursor-pointer px-3 py-2 rounded-xl border text-sm transition-colors has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-accent ${form.type === type.id ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`}
+              >
+                <input
+                  type="radio"
+                  name="inquiry-type"
+                  value={type.id}
+                  checked={form.type === type.id}
+                  onChange={() => setType(type.id)}
+                  className="sr-only"
+                />
+                {t(`contact.types.${type.id}`)}
+              </label>
+            ))}
+          </div>
+          {form.type === 'booking' && (
+            <p className="text-sm text-muted mt-2">
+              {t('contact.bookingHint')}{' '}
+              <NavLink to="/book" unstyled className="text-accent hover:underline" activeClassName="">{t('contact.bookingLink')}</NavLink>.
+            </p>
+          )}
+        </fieldset>
+
+        <div>
+          <input
+            className={inputClass(!!formErrors.name)}
+            placeholder={t('contact.namePlaceholder')}
+            value={form.name}
+            onChange={e => setField('name', e.target.value)}
+            required
+            aria-label={t('contact.namePlaceholder')}
+            aria-invalid={!!formErrors.name}
+            aria-describedby={formErrors.name ? "name-error" : undefined}
+            autoComplete="name"
+          />
+          <FieldError name="name" error={formErrors.name} />
+        </div>
+
+        <div>
+          <input
+            className={inputClass(!!formErrors.email)}
+            placeholder={t('contact.emailPlaceholder')}
+            type="email"
+            value={form.email}
+            onChange={e => setField('email', e.target.value)}
+            required
+            aria-label={t('contact.emailLabel')}
+            aria-invalid={!!formErrors.email}
+            aria-describedby={formErrors.email ? "email-error" : undefined}
+            autoComplete="email"
+          />
+          <FieldError name="email" error={formErrors.email} />
+        </div>
+
+        {inquiryType.fields.length > 0 && (
+          <div className="grid gap-3 md:grid-cols-2">
+            {inquiryType.fields.map((field) => (
+              <InquiryField
+                key={`${inquiryType.id}-${field.name}`}
+                typeId={inquiryType.id}
+                field={field}
+                value={form[field.name]}
+                error={formErrors[field.name]}
+                onChange={setField}
+              />
+            ))}
+          </div>
+        )}
+
+        <div>
+          <textarea
+            className={inputClass(!!formErrors.message, 'min-h-[140px]')}
+            placeholder={t('contact.messagePlaceholder')}
+            value={form.message}
+            onChange={e => setField('message', e.target.value)}
+            required
+            aria-label={t('contact.messageLabel')}
+            aria-invalid={!!formErrors.message}
+            aria-describedby={formErrors.message ? "message-error" : undefined}
+          ></textarea>
+          <FieldError name="message" error={formErrors.message} />
+        </div>
+
+        {/* Honeypot: off-screen and skipped by keyboard and assistive tech */}
+        <div className="absolute -left-[10000px] w-px h-px overflow-hidden" aria-hidden="true">
+          <label htmlFor={`contact-${HONEYPOT_FIELD}`}>{t('contact.honeypot')}</label>
+          <input
+            id={`contact-${HONEYPOT_FIELD}`}
+            name={HONEYPOT_FIELD}
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            value={honeypot}
+            onChange={e => setHoneypot(e.target.value)}
+          />
+        </div>
+
+        <div className="flex items-center gap-3">
+          <Button
+            variant="primary"
+            type="submit"
+            disabled={status === 'submitting'}
+            aria-busy={status === 'submitting'}
+          >
+            {status === 'submitting' ? t('contact.sending') : t('contact.send')}
+          </Button>
+          <a
+            className="px-4 py-2 rounded-2xl border border-line/15 hover:bg-line/5 transition-colors"
+            href={`mailto:${CONTACT_EMAIL}`}
+          >
+            {t('contact.emailInstead')}
+          </a>
+        </div>
+
+        {status === 'success' && (
+          <div className="text-green-400 p-3 bg-green-900/20 rounded-lg border border-green-500/20" role="alert">
+            {t('contact.success')}
+          </div>
+        )}
+
+        {status === 'queued' && (
+          <div className="text-accent p-3 bg-accent/10 rounded-lg border border-accent/20" role="status">
+            {t('contact.queued')}
+          </div>
+        )}
+
+        {status !== 'queued' && queuedCount > 0 && (
+          <div className="text-muted p-3 bg-inset/30 rounded-lg border border-line/10 text-sm" role="status">
+            {t('contact.queuedCount', { count: queuedCount })}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="text-red-400 p-3 bg-red-900/20 rounded-lg border border-red-500/20" role="alert">
+            {error}
+            {mailtoHref && (
+              <>
+                {' '}
+                <a className="underline font-medium" href={mailtoHref}>{t('contact.emailUs', { email: CONTACT_EMAIL })}</a>
+              </>
+            )}
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
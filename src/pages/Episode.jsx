@@ -0,0 +1,121 @@
+import React from "react";
+import { NavLink } from "../router.jsx";
+import { useHead, jsonLd, absoluteUrl } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { podcast, getBrand } from "../content/index.js";
+import { adjacentEpisodes, episodePath } from "../lib/podcast.js";
+import { PlayButton } from "../components/Player.jsx";
+import { ExternalLink } from "../components/ui.jsx";
+import NotFound from "./NotFound.jsx";
+
+function MissingEpisode() {
+  const { t } = useI18n();
+  useHead({ title: t('notFound.title'), robots: 'noindex' });
+  return <NotFound />;
+}
+
+export default function Episode({ params }) {
+  const episodes = useContent('episodes');
+  const episode = episodes.find((ep) => ep.slug === params.slug);
+  if (!episode) return <MissingEpisode />;
+  return <EpisodePage episode={episode} {...adjacentEpisodes(episodes, episode.slug)} />;
+}
+
+function EpisodePage({ episode, newer, older }) {
+  const { t, lang, formatDate } = useI18n();
+  useHead({
+    title: episode.title,
+    description: episode.description || `${podcast.title} — ${formatDate(episode.date)}`,
+    type: 'article',
+    image: episode.artwork,
+    jsonLd: [jsonLd.podcastEpisode({
+      name: episode.title,
+      url: absoluteUrl(episodePath(episode.slug)),
+      datePublished: episode.date,
+      description: episode.description,
+      audioUrl: episode.audioUrl,
+      series: podcast,
+    })],
+  });
+
+  const brands = (episode.brands || []).map(getBrand).filter(Boolean);
+
+  return (
+    <article className="grid gap-8">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        {/* Artwork comes from the RSS feed when the episode has its own */}
+        {episode.artwork && (
+          <img src={episode.artwork} alt="" className="float-right ml-6 mb-4 w-28 h-28 md:w-40 md:h-40 rounded-xl object-cover border border-line/10" />
+        )}
+        <NavLink to="/media/podcast" unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+          ← {t('podcast.all')}
+        </NavLink>
+        <div className="text-xs tracking-[0.2em] text-accent mt-4">{podcast.title.toLocaleUpperCase(lang)}</div>
+        <h1 className="text-3xl md:text-4xl font-bold mt-2">{episode.title}</h1>
+        <div className="text-sm text-muted flex flex-wrap gap-4 mt-3">
+          <time dateTime={episode.date}>{formatDate(episode.date)}</time>
+          <span>{episode.duration}</span>
+          {(episode.tags || []).map((name) => (
+            <NavLink key={name} to={`/media/podcast?tag=${encodeURIComponent(name)}`} unstyled className="text-accent hover:underline" activeClassName="">
+              #{name}
+            </NavLink>
+          ))}
+        </div>
+        <div className="mt-6 flex flex-wrap items-center gap-4">
+          <PlayButton episode={episode} />
+          <ExternalLink href={podcast.episodesUrl} className="text-sm text-muted hover:text-accent transition-colors group">
+            {episode.audioUrl ? t('podcast.moreWays') : t('podcast.listenOnSite')}
+          </ExternalLink>
+        </div>
+      </header>
+
+      {(episode.description || (episode.notes && episode.notes.length > 0)) && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('podcast.showNotes')}</h2>
+          {episode.description && <p className="text-subtle leading-relaxed max-w-3xl">{episode.description}</p>}
+          {episode.notes && episode.notes.length > 0 && (
+            <ul className="mt-4 grid gap-2 max-w-3xl">
+              {episode.notes.map((note) => (
+                <li key={note} className="flex gap-3 text-subtle">
+                  <span aria-hidden="true" className="text-accent">✦</span>
+                  {note}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {brands.length > 0 && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('podcast.mentionedBrands')}</h2>
+          <div className="flex flex-wrap gap-3">
+            {brands.map((brand) => (
+              <NavLink key={brand.slug} to={`/brands/${brand.slug}`} className="border border-line/10" activeClassName="">
+                {brand.name}
+              </NavLink>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {(newer || older) && (
+        <nav className="grid md:grid-cols-2 gap-4" aria-label={t('podcast.more')}>
+          {older ? (
+            <NavLink to={episodePath(older.slug)} unstyled className="block p-4 rounded-xl border border-line/10 hover:border-accent/40 transition-colors" activeClassName="">
+              <div className="text-xs tracking-widest uppercase text-muted">← {t('podcast.previous')}</div>
+              <div className="font-light mt-1">{older.title}</div>
+            </NavLink>
+          ) : <span />}
+          {newer && (
+            <NavLink to={episodePath(newer.slug)} unstyled className="block p-4 rounded-xl border border-line/10 hover:border-accent/40 transition-colors md:text-right" activeClassName="">
+              <div className="text-xs tracking-widest uppercase text-muted">{t('podcast.next')} →</div>
+              <div className="font-light mt-1">{newer.title}</div>
+            </NavLink>
+          )}
+        </nav>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import { NavLink } from "../router.jsx";
+import { useHead, jsonLd, absoluteUrl } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { ExternalLink } from "../components/ui.jsx";
+import AddToCalendar from "../components/AddToCalendar.jsx";
+import { eventRange, isAllDay, formatEventWhen, eventPath } from "../lib/events.js";
+import NotFound from "./NotFound.jsx";
+
+function MissingEvent() {
+  const { t } = useI18n();
+  useHead({ title: t('notFound.title'), robots: 'noindex' });
+  return <NotFound />;
+}
+
+export default function EventDetail({ params }) {
+  const events = useContent('events');
+  const brands = useContent('brands');
+  const event = events.find((e) => e.slug === params.slug);
+  if (!event) return <MissingEvent />;
+  return <EventPage event={event} brand={brands.find((b) => b.slug === event.brand) || null} />;
+}
+
+function EventPage({ event, brand }) {
+  const { t, lang } = useI18n();
+  const { start, end } = eventRange(event);
+  // Known only after mount, so prerendered markup never carries a build-time clock
+  const [now, setNow] = useState(null);
+  useEffect(() => setNow(new Date()), []);
+  const past = now ? end <= now : null;
+
+  useHead({
+    title: event.title,
+    description: event.description || `${formatEventWhen(event, lang)} · ${event.city}`,
+    jsonLd: brand ? [jsonLd.event({
+      name: event.title,
+      url: absoluteUrl(eventPath(event.slug)),
+      // All-day events keep their calendar dates; timed ones are exact instants
+      startDate: isAllDay(event) ? event.start : start.toISOString(),
+      endDate: isAllDay(event) ? event.end || event.start : end.toISOString(),
+      description: event.description,
+      venue: event.venue,
+      address: event.address,
+      city: event.city,
+      organizer: brand,
+    })] : [],
+  });
+
+  return (
+    <article className="grid gap-8">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <NavLink to={past ? '/events?view=past' : '/events'} unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+          ← {t('events.all')}
+        </NavLink>
+        {brand && <div className="text-xs tracking-[0.2em] text-accent mt-4">{brand.name.toUpperCase()}</div>}
+        <h1 className="text-3xl md:text-5xl font-bold mt-2">{event.title}</h1>
+        <dl className="grid sm:grid-cols-[auto_1fr] gap-x-6 gap-y-2 mt-6 text-subtle">
+          <dt className="text-xs tracking-widest uppercase text-muted pt-1">{t('events.when')}</dt>
+          <dd>{formatEventWhen(event, lang)}</dd>
+          <dt className="text-xs tracking-widest uppercase text-muted pt-1">{t('events.where')}</dt>
+          <dd>
+            {event.venue && <div>{event.venue}</div>}
+            {event.address && <div>{event.address}</div>}
+            <div>{event.city}</div>
+          </dd>
+        </dl>
+        {past === null ? null : past ? (
+          <p className="text-sm text-muted mt-6" role="status">{t('events.alreadyHappened')}</p>
+        ) : (
+          <div className="mt-6 flex flex-wrap items-center gap-4">
+            <AddToCalendar
+              events={[event]}
+              className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            />
+            {event.url && (
+              <ExternalLink href={event.url} className="text-sm text-muted hover:text-accent transition-colors group">
+                {t('events.tickets')}
+              </ExternalLink>
+            )}
+          </div>
+        )}
+      </header>
+
+      {event.description && (
+        <section>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-3">{t('events.about')}</h2>
+          <p className="text-subtle leading-relaxed max-w-2xl whitespace-pre-line">{event.description}</p>
+        </section>
+      )}
+
+      {brand && (
+        <NavLink to={`/brands/${brand.slug}`} unstyled className="text-sm text-accent hover:underline" activeClassName="">
+          {t('events.moreFrom', { name: brand.name })} →
+        </NavLink>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from "react";
+import { NavLink, useRouter, useHydratedSearchParams } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { FilterGroup } from "../components/ui.jsx";
+import AddToCalendar from "../components/AddToCalendar.jsx";
+import { splitEvents, eventFacets, filterEvents, formatEventWhen, eventPath } from "../lib/events.js";
+
+// Labels are `events.<id>` in the catalogs.
+const VIEWS = ['upcoming', 'past'];
+
+function EventCard({ event, brandName, past }) {
+  const { t, lang } = useI18n();
+  return (
+    <li className="relative border border-line/10 bg-inset/20 p-6 rounded-2xl hover:border-accent/40 hover:shadow-lg transition-all duration-300 flex flex-col">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-xs bg-accent/15 text-accent px-2 py-0.5 rounded">{brandName}</span>
+        <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">{event.city}</span>
+      </div>
+      <h2 className="text-lg font-light mb-2">
+        {/* The title link covers the whole card */}
+        <NavLink to={eventPath(event.slug)} unstyled className="hover:text-accent transition-colors after:absolute after:inset-0" activeClassName="">
+          {event.title}
+        </NavLink>
+      </h2>
+      <p className="text-sm text-muted flex-1">{formatEventWhen(event, lang)}</p>
+      {!past && (
+        <AddToCalendar events={[event]} className="relative self-start mt-4 text-sm text-accent hover:underline">
+          {t('events.addToCalendar')}
+        </AddToCalendar>
+      )}
+    </li>
+  );
+}
+
+const NO_EVENTS = { upcoming: [], past: [] };
+
+// View, brand and city live in the query string (?view=past&brand=&city=).
+// Both they and the upcoming/past split apply after mount, so prerendered
+// markup never carries a build-time clock.
+export default function Events() {
+  const { setSearchParams } = useRouter();
+  const { t } = useI18n();
+  const searchParams = useHydratedSearchParams();
+  const [now, setNow] = useState(null);
+  useEffect(() => setNow(new Date()), []);
+  const events = useContent('events');
+  const brands = useContent('brands');
+  const brandName = (slug) => (brands.find((brand) => brand.slug === slug) || { name: slug }).name;
+
+  const view = searchParams.get('view') === 'past' ? 'past' : 'upcoming';
+  const filters = { brand: searchParams.get('brand') || '', city: searchParams.get('city') || '' };
+  const split = now ? splitEvents(events, now) : NO_EVENTS;
+  const facets = eventFacets(split[view]);
+  const results = filterEvents(split[view], filters);
+  const filtered = filters.brand || filters.city;
+
+  const update = (changes) => setSearchParams({
+    view: view === 'past' ? 'past' : '',
+    brand: filters.brand,
+    city: filters.city,
+    ...changes,
+  });
+
+  return (
+    <div className="grid gap-6">
+      <header className="bg-surface rounded-2xl p-6 md:p-10 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <div className="text-xs tracking-[0.2em] uppercase text-accent">{t('events.kicker')}</div>
+        <h1 className="text-3xl md:text-4xl font-bold mt-2">{t('events.title')}</h1>
+        <p className="text-muted mt-3 max-w-2xl">{t('events.intro')}</p>
+        <div className="mt-6 flex flex-wrap items-center gap-4">
+          <NavLink
+            to="/book"
+            className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            activeClassName=""
+          >
+            {t('events.book')}
+          </NavLink>
+        </div>
+      </header>
+
+      <div className="flex gap-2" role="group" aria-label={t('events.show')}>
+        {VIEWS.map((option) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => update({ view: option === 'past' ? 'past' : '', brand: '', city: '' })}
+            aria-pressed={view === option}
+            className={`px-4 py-2 rounded-xl border text-sm transition-colors ${view === option ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`}
+          >
+            {t(`events.${option}`)}{now && ` (${split[option].length})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid gap-3">
+        <FilterGroup label={t('events.brand')} value={filters.brand} options={facets.brands} onChange={(brand) => update({ brand })} format={brandName} />
+        <FilterGroup label={t('events.city')} value={filters.city} options={facets.cities} onChange={(city) => update({ city })} />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-muted" role="status">
+          {!now ? t('events.loading') : t(filtered ? 'events.found' : 'events.count', { count: results.length })}
+        </p>
+        {view === 'upcoming' && results.length > 1 && (
+          <AddToCalendar events={results} className="text-sm text-accent hover:underline">
+            {t('events.addAllToCalendar', { count: results.length })}
+          </AddToCalendar>
+        )}
+      </div>
+
+      {!now ? null : results.length > 0 ? (
+        <ul className="grid md:grid-cols-3 gap-6">
+          {results.map((event) => (
+            <EventCard key={event.slug} event={event} brandName={brandName(event.brand)} past={view === 'past'} />
+          ))}
+        </ul>
+      ) : (
+        <div className="text-muted p-6 bg-inset/30 rounded-lg border border-line/10">
+          {filtered ? (
+            <>
+              {t('events.noMatches')}{' '}
+              <button type="button" className="text-accent hover:underline" onClick={() => update({ brand: '', city: '' })}>{t('events.clearFilters')}</button>
+            </>
+          ) : view === 'upcoming' ? (
+            t('events.noneUpcoming')
+          ) : (
+            t('events.nonePast')
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,377 @@
+import React, { useEffect } from "react";
+import { NavLink } from "../router.jsx";
+import { useHead, jsonLd, absoluteUrl } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { podcast, programs, getBrand } from "../content/index.js";
+import { useContent } from "../content/provider.js";
+import { sortEpisodes, episodePath } from "../lib/podcast.js";
+import { programPath, applyPath } from "../lib/brgr.js";
+import SubscribeForm from "../components/SubscribeForm.jsx";
+import { LISTS } from "../lib/newsletter.js";
+import { Section, SectionHeading, Button, Card, ExternalLink, ProductCard } from "../components/ui.jsx";
+
+export function Hero() {
+  const { t } = useI18n();
+  // Production: no placeholder copy. If no title/subtitle provided, render media-only hero.
+  // Copy comes from the CMS, overridable per page via window.__HERO_* (see provider.js).
+  const hero = useContent('hero');
+  const HERO_IMAGE = hero.image || "";
+  const HERO_VIDEO = hero.video || "";
+  const HERO_TITLE = hero.title || "";
+  const HERO_SUBTITLE = hero.subtitle || "";
+  
+  return (
+    <section 
+      className="relative overflow-hidden rounded-2xl shadow-[0_0_60px_rgba(212,175,55,0.12)] border border-line/10"
+      data-aos="fade-up"
+    >
+      {HERO_VIDEO ? (
+        <video 
+          className="absolute inset-0 w-full h-full object-cover" 
+          src={HERO_VIDEO} 
+          autoPlay 
+          muted 
+          loop 
+          playsInline 
+          aria-hidden="true"
+        />
+      ) : (
+        HERO_IMAGE && (
+          <img 
+            className="absolute inset-0 w-full h-full object-cover" 
+            src={HERO_IMAGE} 
+            alt={t('home.hero.imageAlt')}
+            loading="eager" 
+            width="1200" 
+            height="600" 
+          />
+        )
+      )}
+      <div className="absolute inset-0 bg-black/45" />
+
+      <div className="relative z-10 px-6 md:px-10 py-14 md:py-24 text-white">
+        <div className="max-w-4xl">
+          {HERO_TITLE && (
+            <h1 className="text-4xl md:text-6xl font-extrabold leading-tight tracking-tight animate-fade-in">
+              {HERO_TITLE}
+            </h1>
+          )}
+          {HERO_SUBTITLE && (
+            <p className="mt-4 md:mt-6 text-white/85 text-lg md:text-xl max-w-2xl animate-fade-in-delay">
+              {HERO_SUBTITLE}
+            </p>
+          )}
+          <div className="mt-7 md:mt-9 flex flex-wrap gap-3 animate-fade-in-delay-long">
+            <NavLink 
+              to="/brands" 
+              className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            >
+              {t('home.hero.explore')}
+            </NavLink>
+            <NavLink 
+              to="/book" 
+              className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium border border-white/15 hover:bg-white/5 transition-colors"
+            >
+              {t('home.hero.book')}
+            </NavLink>
+            <NavLink 
+              to="/media" 
+              className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium border border-white/15 hover:bg-white/5 transition-colors"
+            >
+              {t('home.hero.mediaKit')}
+            </NavLink>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default function Home() {
+  const { t, lang, formatDate } = useI18n();
+  const featuredBrands = useContent('brands').filter((brand) => brand.featured);
+  const episodes = sortEpisodes(useContent('episodes')).slice(0, 4);
+  const pressLogos = useContent('press');
+
+  useHead({
+    jsonLd: [
+      jsonLd.person(),
+      jsonLd.podcastSeries({
+        name: podcast.title,
+        url: podcast.url,
+        description: podcast.description,
+        webFeed: absoluteUrl(podcast.feedPath),
+      }),
+    ],
+  });
+
+  // Add AOS animations on mount
+  useEffect(() => {
+    // Check if AOS is available and initialize
+    if (typeof AOS !== 'undefined') {
+      AOS.init({
+        duration: 800,
+        once: true,
+        offset: 100
+      });
+    }
+    
+    // Add scroll reveal animation
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('animate-revealed');
+          observer.unobserve(entry.target);
+        }
+      });
+    }, { threshold: 0.1 });
+    
+    document.querySelectorAll('.reveal-on-scroll').forEach(el => {
+      observer.observe(el);
+    });
+    
+    return () => {
+      document.querySelectorAll('.reveal-on-scroll').forEach(el => {
+        observer.unobserve(el);
+      });
+    };
+  }, []);
+
+  return (
+    <div className="flex flex-col gap-y-0 md:gap-y-8">
+      {/* HERO */}
+      <section className="relative min-h-[80vh] flex flex-col items-center justify-center px-8 pt-6 md:pt-10 bg-gradient-to-b from-line/5 to-transparent rounded-2xl border border-line/10 shadow-[0_0_60px_rgba(212,175,55,0.12)] reveal-on-scroll">
+        <div className="max-w-5xl mx-auto text-center">
+          <div className="mb-12 reveal-on-scroll">
+            <h1 className="text-6xl md:text-8xl font-extralight tracking-tighter leading-none mb-2">
+              Angel<span className="font-normal text-accent">K</span>
+            </h1>
+            <div className="h-px w-24 bg-accent mx-auto" />
+          </div>
+          <h2 className="text-xl md:text-2xl font-extralight tracking-wider mb-12 max-w-xl mx-auto text-subtle reveal-on-scroll">
+            FROM THE BLOCK TO THE BLOCKCHAIN
+          </h2>
+          <div className="flex flex-col md:flex-row gap-4 justify-center items-center reveal-on-scroll">
+            <Button 
+              variant="primary" 
+              onClick={(e) => {
+                e.preventDefault(); 
+                window.__router?.navigate('/media');
+              }}
+            >
+              {t('home.watchLatest').toLocaleUpperCase(lang)}
+            </Button>
+            <ExternalLink 
+              href={getBrand('foreverdocs').url} 
+              className="px-6 py-3 border border-line/20 text-sm tracking-widest uppercase rounded-xl hover:bg-line/5 group"
+            >
+              {t('home.exploreForeverdocs')}
+            </ExternalLink>
+          </div>
+        </div>
+        <div className="absolute bottom-0 left-0 w-full h-px bg-gradient-to-r from-transparent via-accent/50 to-transparent" />
+      </section>
+
+      {/* BRANDS GRID */}
+      <Section id="brands">
+        <div className="max-w-6xl mx-auto">
+          <SectionHeading 
+            title={t('home.brands.title')} 
+            centered={true} 
+            accentText={t('home.brands.kicker')} 
+          />
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 reveal-on-scroll">
+            {featuredBrands.slice(0,3).map((brand) => (
+              <ProductCard key={brand.slug} product={brand} />
+            ))}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6 reveal-on-scroll">
+            {featuredBrands.slice(3).map((brand) => (
+              <ProductCard key={brand.slug} product={brand} />
+            ))}
+          </div>
+        </div>
+      </Section>
+
+      {/* PODCAST */}
+      <Section id="podcast" className="bg-inset/20 rounded-2xl">
+        <div className="max-w-5xl mx-auto grid md:grid-cols-2 gap-10 items-start">
+          <div className="reveal-on-scroll">
+            <SectionHeading 
+              title={podcast.title} 
+              centered={false} 
+              accentText={t('media.podcast')} 
+            />
+            <p className="text-muted font-light leading-relaxed mb-6">
+              {podcast.description}
+            </p>
+            <div className="flex items-center gap-6 text-sm tracking-widest uppercase">
+              <ExternalLink href={podcast.url} className="text-accent group">
+                {t('home.podcast.listen')}
+              </ExternalLink>
+              <span className="w-px h-5 bg-line/20" />
+              <ExternalLink href={podcast.subscribeUrl} className="text-accent group">
+                {t('subscribe.submit')}
+              </ExternalLink>
+              <span className="w-px h-5 bg-line/20" />
+              <a href={podcast.feedPath} className="text-accent">RSS</a>
+            </div>
+          </div>
+          <div>
+            {episodes.map((ep) => (
+              <NavLink 
+                key={ep.slug} 
+                to={episodePath(ep.slug)} 
+                unstyled
+                className="flex gap-4 items-center py-4 border-b border-line/10 group transition-all hover:bg-line/5 rounded-lg px-2 reveal-on-scroll"
+                activeClassName=""
+              >
+                <span className="w-9 h-9 rounded-full border border-line/20 grid place-items-center group-hover:bg-accent group-hover:text-accent-fg transition-colors">▶</span>
+                <div className="flex-1">
+                  <div className="font-light">{ep.title}</div>
+                  <div className="text-xs text-muted flex gap-4"><span>{formatDate(ep.date)}</span><span>{ep.duration}</span></div>
+                </div>
+                <span className="opacity-0 group-hover:opacity-100 transition-opacity">→</span>
+              </NavLink>
+            ))}
+            <div className="mt-6 text-right">
+              <NavLink 
+                to="/media/podcast" 
+                prefetch="viewport"
+                unstyled
+                className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors"
+                activeClassName=""
+              >
+                {t('home.podcast.all')} →
+              </NavLink>
+            </div>
+          </div>
+        </div>
+      </Section>
+
+      {/* FOREVERDOCS */}
+      <Section id="foreverdocs">
+        <div className="max-w-5xl mx-auto grid md:grid-cols-2 gap-10 items-center">
+          <div className="aspect-square rounded-2xl bg-gradient-to-br from-line/5 via-transparent to-accent/10 border border-line/10 grid place-items-center reveal-on-scroll">
+            <div className="text-xs tracking-[0.2em] uppercase text-muted">{t('home.foreverdocs.preview')}</div>
+          </div>
+          <div className="reveal-on-scroll">
+            <SectionHeading 
+              title={t('home.foreverdocs.title')} 
+              centered={false} 
+              accentText="FOREVERDOCS" 
+            />
+            <p className="text-muted font-light leading-relaxed mb-6">
+              {t('home.foreverdocs.intro')}
+            </p>
+            <SubscribeForm 
+              list={LISTS.foreverdocsWaitlist} 
+              label={t('home.foreverdocs.email')} 
+              submitLabel={t('home.foreverdocs.join')} 
+              variant="primary" 
+              centered={false} 
+            />
+          </div>
+        </div>
+      </Section>
+
+      {/* BRGR */}
+      <Section id="brgr" className="bg-inset/20 rounded-2xl">
+        <div className="max-w-5xl mx-auto text-center">
+          <SectionHeading 
+            title={t('home.brgr.title')} 
+            centered={true} 
+            accentText="BRGR COLLECTIVE" 
+          />
+          <p className="text-muted mt-6 max-w-2xl mx-auto">
+            {t('home.brgr.intro')}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-10">
+            {programs.map((prog, idx) => (
+              <Card 
+                key={prog.slug} 
+                className="text-left reveal-on-scroll group"
+                data-aos-delay={idx * 100}
+              >
+                <div className="flex items-center gap-2 mb-3">
+                  <span className="text-xs bg-accent/15 text-accent px-2 py-0.5 rounded">
+                    {prog.duration}
+                  </span>
+                  <span className="text-xs bg-line/10 text-subtle px-2 py-0.5 rounded">
+                    {prog.level}
+                  </span>
+                </div>
+                <h3 className="text-lg font-light mb-2">{prog.title}</h3>
+                <p className="text-muted text-sm">{prog.description}</p>
+                <div className="mt-4 text-muted text-xs tracking-widest uppercase group-hover:text-accent transition-colors">
+                  <NavLink to={programPath(prog.slug)} unstyled className="inline-flex items-center gap-2" activeClassName="">
+                    {t('brands.learnMore')} <span aria-hidden="true" className="group-hover:translate-x-1 transition-transform">→</span>
+                  </NavLink>
+                </div>
+              </Card>
+            ))}
+          </div>
+          <div className="mt-10 reveal-on-scroll">
+            <NavLink 
+              to={applyPath()} 
+              unstyled
+              className="px-6 py-3 bg-accent text-accent-fg text-sm tracking-widest uppercase rounded-xl hover:opacity-90 inline-flex items-center gap-2"
+              activeClassName=""
+            >
+              {t('home.brgr.apply')}
+            </NavLink>
+            <NavLink to="/brgr" unstyled prefetch="viewport" className="ml-6 text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+              {t('home.brgr.all')} →
+            </NavLink>
+          </div>
+        </div>
+      </Section>
+
+      {/* PRESS */}
+      <Section id="press">
+        <div className="max-w-5xl mx-auto text-center">
+          <SectionHeading 
+            title={t('home.press.title')} 
+            centered={true} 
+            accentText={t('media.title')} 
+          />
+          {/* No placeholders: the logo grid only renders once the CMS provides logos */}
+          {pressLogos.length > 0 && (
+            <ul className="mt-10 grid grid-cols-2 md:grid-cols-4 gap-6 items-center reveal-on-scroll">
+              {pressLogos.map((outlet) => {
+                const mark = outlet.logo
+                  ? <img src={outlet.logo} alt={outlet.name} className="h-8 mx-auto object-contain opacity-70 hover:opacity-100 transition-opacity" loading="lazy" />
+                  : <span className="text-lg font-light tracking-wide text-muted hover:text-ink transition-colors">{outlet.name}</span>;
+                return (
+                  <li key={outlet.name}>
+                    {outlet.url ? <a href={outlet.url} target="_blank" rel="noopener noreferrer">{mark}</a> : mark}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <div className="mt-10 reveal-on-scroll">
+            <NavLink 
+              to="/media" 
+              prefetch="viewport"
+              className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors inline-flex items-center gap-2 group"
+            >
+              {t('home.press.kit')} <span aria-hidden="true" className="group-hover:translate-x-1 transition-transform">→</span>
+            </NavLink>
+          </div>
+        </div>
+      </Section>
+
+      {/* NEWSLETTER */}
+      <Section id="newsletter" className="bg-inset/20 rounded-2xl">
+        <div className="max-w-lg mx-auto text-center reveal-on-scroll">
+          <h2 className="text-3xl font-extralight tracking-tight mb-3">{t('home.newsletter.title')}</h2>
+          <p className="text-muted mb-8">{t('home.newsletter.intro')}</p>
+          <SubscribeForm list={LISTS.newsletter} label={t('home.newsletter.email')} />
+        </div>
+      </Section>
+    </div>
+  );
+}
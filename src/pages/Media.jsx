@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useHead, jsonLd } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { NavLink } from "../router.jsx";
+import { podcast, presskit } from "../content/index.js";
+import { ExternalLink } from "../components/ui.jsx";
+import { copyText } from "../lib/clipboard.js";
+import { downloadBlob } from "../lib/zip.js";
+import { PRESS_KIT_ZIP, pressKitFiles, buildPressKitZip, sortMentions } from "../lib/presskit.js";
+
+const card = "bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]";
+// Labels are `media.bios.<id>` in the catalogs.
+const BIO_LENGTHS = ['short', 'medium', 'long'];
+
+function CopyButton({ text, label }) {
+  const { t } = useI18n();
+  const [state, setState] = useState('idle'); // idle | copied | failed
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const copy = async () => {
+    setState((await copyText(text)) ? 'copied' : 'failed');
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => setState('idle'), 2000);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={copy}
+      className="text-xs tracking-widest uppercase px-3 py-1.5 rounded-xl border border-line/20 hover:border-accent hover:text-accent transition-colors"
+      aria-label={t('media.copyLabel', { label })}
+    >
+      <span aria-live="polite">{state === 'copied' ? `${t('media.copied')} ✓` : state === 'failed' ? t('media.selectAndCopy') : t('media.copy')}</span>
+    </button>
+  );
+}
+
+function Bios({ bios }) {
+  const { t } = useI18n();
+  return (
+    <section id="bios" className={`${card} scroll-mt-24`}>
+      <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-4">{t('media.bio')}</h2>
+      <div className="grid gap-6">
+        {BIO_LENGTHS.map((id) => (
+          <div key={id} className="border-t border-line/10 pt-4 first:border-0 first:pt-0">
+            <div className="flex items-center justify-between gap-4 mb-2">
+              <h3 className="text-xs tracking-widest uppercase text-muted">
+                {t(`media.bios.${id}`)} · {t('media.words', { count: bios[id].split(/\s+/).length })}
+              </h3>
+              <CopyButton text={bios[id]} label={t(`media.bios.${id}Label`)} />
+            </div>
+            {bios[id].split(/\n{2,}/).map((paragraph) => (
+              <p key={paragraph} className="text-subtle leading-relaxed mt-2 first:mt-0">{paragraph}</p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// One headshot or logo: preview of the first variant plus a checkbox and a
+// direct link per format/size.
+function AssetCard({ asset, variants, selected, onToggle }) {
+  const { t } = useI18n();
+  const preview = asset.variants[0];
+  return (
+    <figure className="rounded-xl overflow-hidden border border-line/10">
+      <div className={`aspect-[4/3] grid place-items-center p-6 ${preview.background === 'light' ? 'bg-white' : preview.background === 'dark' ? 'bg-black' : 'bg-inset/20'}`}>
+        <img src={preview.src} alt={asset.alt} loading="lazy" className="max-w-full max-h-full object-contain" />
+      </div>
+      <figcaption className="p-4">
+        <div className="font-medium">{asset.title}</div>
+        <ul className="mt-2 grid gap-1 text-sm">
+          {variants.map(({ key, variant }) => (
+            <li key={key} className="flex items-center justify-between gap-3">
+              <label className="flex items-center gap-2 text-subtle">
+                <input type="checkbox" checked={selected.has(key)} onChange={() => onToggle(key)} className="accent-accent" />
+                {variant.label}
+                <span className="text-xs text-muted uppercase">
+                  {variant.format}{variant.width && variant.height ? ` · ${variant.width}×${variant.height}` : ''}
+                </span>
+              </label>
+              <a href={variant.src} download className="text-xs text-muted hover:text-accent transition-colors" aria-label={t('media.downloadAsset', { title: asset.title, variant: variant.label })}>
+                ↓
+              </a>
+            </li>
+          ))}
+        </ul>
+      </figcaption>
+    </figure>
+  );
+}
+
+function Assets({ kit }) {
+  const { t } = useI18n();
+  const files = pressKitFiles(kit);
+  const [selected, setSelected] = useState(() => new Set(files.map((file) => file.key)));
+  const [includeBios, setIncludeBios] = useState(true);
+  const [status, setStatus] = useState({ state: 'idle' }); // idle | building | error
+
+  if (!files.length) return null;
+
+  const toggle = (key) => setSelected((current) => {
+    const next = new Set(current);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+  const allSelected = selected.size === files.length;
+
+  const download = async () => {
+    setStatus({ state: 'building' });
+    try {
+      const zip = await buildPressKitZip(files.filter((file) => selected.has(file.key)), { bios: includeBios ? kit.bios : null });
+      downloadBlob(new Blob([zip], { type: 'application/zip' }), PRESS_KIT_ZIP);
+      setStatus({ state: 'idle' });
+    } catch (err) {
+      setStatus({ state: 'error', message: err.message });
+    }
+  };
+
+  const groups = [
+    { id: 'headshots', assets: kit.headshots },
+    { id: 'logos', assets: kit.logos },
+  ];
+
+  return (
+    <section id="assets" className={`${card} scroll-mt-24`}>
+      {/* No placeholders: a gallery only renders when presskit.json lists assets for it */}
+      {groups.filter((group) => group.assets.length > 0).map((group) => (
+        <div key={group.id} className="mb-8">
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-4">{t(`media.${group.id}`)}</h2>
+          <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-4">
+            {group.assets.map((asset) => {
+              const variants = files.filter((file) => file.group === group.id && file.asset.id === asset.id);
+              return <AssetCard key={asset.id} asset={asset} variants={variants} selected={selected} onToggle={toggle} />;
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-4 border-t border-line/10 pt-6">
+        <button
+          type="button"
+          onClick={download}
+          disabled={status.state === 'building' || (!selected.size && !includeBios)}
+          className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {status.state === 'building' ? t('media.preparing') : t('media.downloadZip', { count: selected.size + (includeBios ? 3 : 0) })}
+        </button>
+        <button
+          type="button"
+          onClick={() => setSelected(allSelected ? new Set() : new Set(files.map((file) => file.key)))}
+          className="text-sm text-muted hover:text-accent transition-colors"
+        >
+          {allSelected ? t('media.selectNone') : t('media.selectAll')}
+        </button>
+        <label className="flex items-center gap-2 text-sm text-muted">
+          <input type="checkbox" checked={includeBios} onChange={(e) => setIncludeBios(e.target.checked)} className="accent-accent" />
+          {t('media.includeBios')}
+        </label>
+      </div>
+      {status.state === 'error' && (
+        <p role="alert" className="text-sm text-red-400 p-3 mt-4 bg-red-900/20 rounded-lg border border-red-500/20">{t('media.zipFailed', { message: status.message })}</p>
+      )}
+    </section>
+  );
+}
+
+export default function Media() {
+  const { t, formatDate } = useI18n();
+  useHead({ jsonLd: [jsonLd.person()] });
+  const mentions = sortMentions(presskit.mentions);
+
+  return (
+    <div className="grid gap-6">
+      <div className={card}>
+        <h1 className="text-3xl font-bold">{t('media.title')}</h1>
+        <p className="text-muted mt-2">{t('media.intro')}</p>
+        <nav className="flex flex-wrap gap-4 mt-4 text-xs tracking-widest uppercase text-muted" aria-label={t('media.sections')}>
+          <a href="#bios" className="hover:text-accent transition-colors">{t('media.bio')}</a>
+          <a href="#assets" className="hover:text-accent transition-colors">{t('media.downloads')}</a>
+          <a href="#topics" className="hover:text-accent transition-colors">{t('media.topics')}</a>
+          {mentions.length > 0 && <a href="#mentions" className="hover:text-accent transition-colors">{t('media.press')}</a>}
+        </nav>
+      </div>
+
+      <Bios bios={presskit.bios} />
+      <Assets kit={presskit} />
+
+      <section id="topics" className={`${card} scroll-mt-24`}>
+        <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-4">{t('media.topics')}</h2>
+        <ul className="grid md:grid-cols-3 gap-4">
+          {presskit.topics.map((topic) => (
+            <li key={topic.title} className="border border-line/10 rounded-xl p-4">
+              <h3 className="font-semibold">{topic.title}</h3>
+              <p className="text-sm text-muted mt-1">{topic.description}</p>
+            </li>
+          ))}
+        </ul>
+        <NavLink to="/book" unstyled className="inline-block mt-4 text-sm text-accent hover:underline" activeClassName="">
+          {t('media.book')} →
+        </NavLink>
+      </section>
+
+      {mentions.length > 0 && (
+        <section id="mentions" className={`${card} scroll-mt-24`}>
+          <h2 className="text-xs tracking-[0.2em] uppercase text-accent mb-4">{t('media.inThePress')}</h2>
+          <ul className="border-t border-line/10">
+            {mentions.map((mention) => (
+              <li key={mention.url} className="flex flex-wrap items-baseline gap-x-4 gap-y-1 py-3 border-b border-line/10">
+                <span className="text-xs tracking-widest text-muted w-28">{formatDate(mention.date)}</span>
+                <span className="font-medium">{mention.outlet}</span>
+                <ExternalLink href={mention.url} className="text-subtle hover:text-accent transition-colors group">
+                  {mention.title}
+                </ExternalLink>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <NavLink
+        to="/media/podcast"
+        unstyled
+        className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)] block hover:shadow-[0_0_50px_rgba(212,175,55,0.2)] transition-all group"
+        activeClassName=""
+      >
+        <div className="text-xs tracking-[0.2em] uppercase text-accent">{t('media.podcast')}</div>
+        <div className="text-xl font-semibold mt-1">{podcast.title}</div>
+        <p className="text-muted mt-2">{t('media.podcastLink')} <span aria-hidden="true" className="inline-block group-hover:translate-x-1 transition-transform">→</span></p>
+      </NavLink>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from "react";
+import { NavLink, useRouter } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+import { confirmSubscription } from "../lib/newsletter.js";
+
+// Landing page for double opt-in links: /newsletter/confirm?token=…
+// Each status has a `confirm.<status>.title` and `.body` message.
+export default function NewsletterConfirm() {
+  const { searchParams } = useRouter();
+  const { t } = useI18n();
+  // Read once: later query-string changes on this page must not drop the token mid-confirmation
+  const [token] = useState(() => searchParams.get('token') || '');
+  const [status, setStatus] = useState('confirming');
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('confirming');
+    confirmSubscription(token).then((result) => {
+      if (!cancelled) setStatus(result);
+    });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  return (
+    <div className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]" aria-busy={status === 'confirming'}>
+      <div className="text-xs tracking-[0.2em] uppercase text-accent mb-2">{t('confirm.kicker')}</div>
+      <h1 className="text-3xl font-bold">{t(`confirm.${status}.title`)}</h1>
+      <p className="text-muted mt-3">{t(`confirm.${status}.body`)}</p>
+      {status !== 'confirming' && (
+        <div className="mt-6">
+          <NavLink 
+            to={status === 'expired' ? '/#newsletter' : '/'} 
+            className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+            activeClassName=""
+          >
+            {status === 'expired' ? t('confirm.subscribeAgain') : t('confirm.backHome')}
+          </NavLink>
+        </div>
+      )}
+    </div>
+  );
+}
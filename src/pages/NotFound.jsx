@@ -0,0 +1,30 @@
+import React, { useEffect, useState } from "react";
+import { NavLink, normalizePathname, useRouter } from "../router.jsx";
+import { useI18n } from "../i18n.jsx";
+
+// dist/404.html is prerendered once and served for every unknown URL, so the
+// requested path is only filled in after mount.
+export default function NotFound() {
+  const { route } = useRouter();
+  const { t } = useI18n();
+  const [path, setPath] = useState(null);
+  useEffect(() => setPath(normalizePathname(route)), [route]);
+  return (
+    <div className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+      <div className="text-xs tracking-[0.2em] text-accent mb-2">404</div>
+      <h1 className="text-3xl font-bold">{t('notFound.title')}</h1>
+      <p className="text-muted mt-3">
+        {path && <>{t('notFound.before')} <code className="bg-inset/30 px-1 py-0.5 rounded">{path}</code>. </>}{t('notFound.after')}
+      </p>
+      <div className="mt-6">
+        <NavLink 
+          to="/" 
+          className="inline-flex items-center justify-center rounded-2xl px-5 py-2.5 font-medium bg-accent text-accent-fg hover:bg-accent/90 transition-colors"
+          activeClassName=""
+        >
+          {t('notFound.home')}
+        </NavLink>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React from "react";
+import { NavLink, useRouter, useHydratedSearchParams } from "../router.jsx";
+import { useHead, jsonLd, absoluteUrl } from "../head.jsx";
+import { useI18n } from "../i18n.jsx";
+import { useContent } from "../content/provider.js";
+import { podcast } from "../content/index.js";
+import { filterEpisodes, paginate, episodeTags, episodePath } from "../lib/podcast.js";
+import { PlayButton } from "../components/Player.jsx";
+import { ExternalLink } from "../components/ui.jsx";
+
+// Search, tag and page live in the query string (?q=&tag=&page=) so results are shareable.
+export default function PodcastArchive() {
+  const { t, formatDate } = useI18n();
+  const { setSearchParams } = useRouter();
+  const searchParams = useHydratedSearchParams();
+  const episodes = useContent('episodes');
+  const q = searchParams.get('q') || '';
+  const tag = searchParams.get('tag') || '';
+  const results = filterEpisodes(episodes, { q, tag });
+  const { items, page, pageCount } = paginate(results, searchParams.get('page'));
+  const tags = episodeTags(episodes);
+
+  useHead({
+    jsonLd: [jsonLd.podcastSeries({ name: podcast.title, url: podcast.url, description: podcast.description, webFeed: absoluteUrl(podcast.feedPath) })],
+  });
+
+  // Changing the search or tag starts again from page 1
+  // (pages get their own history entries; typing and tag toggles replace the current one)
+  const update = (changes, options) => setSearchParams({ q, tag, ...changes, page: changes.page > 1 ? changes.page : '' }, options);
+
+  return (
+    <div className="grid gap-6">
+      <div className="bg-surface rounded-2xl p-6 shadow-[0_0_40px_rgba(212,175,55,0.15)]">
+        <NavLink to="/media" unstyled className="text-xs tracking-widest uppercase text-muted hover:text-accent transition-colors" activeClassName="">
+          ← {t('nav.media')}
+        </NavLink>
+        <h1 className="text-3xl font-bold mt-3">{podcast.title}</h1>
+        <p className="text-muted mt-2 max-w-2xl">{podcast.description}</p>
+        <div className="flex flex-wrap items-center gap-6 mt-4 text-sm tracking-widest uppercase">
+          <ExternalLink href={podcast.subscribeUrl} className="text-accent group">{t('subscribe.submit')}</ExternalLink>
+          <a href={podcast.feedPath} className="text-accent">RSS</a>
+        </div>
+      </div>
+
+      <div className="grid gap-3">
+        <label htmlFor="episode-search" className="sr-only">{t('podcast.search')}</label>
+        <input
+          id="episode-search"
+          type="search"
+          value={q}
+          onChange={(e) => update({ q: e.target.value })}
+          placeholder={t('podcast.search')}
+          className="w-full bg-inset/40 border border-line/10 rounded-xl px-4 py-3 focus:outline-none focus:border-accent transition-colors"
+        />
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-2" role="group" aria-label={t('podcast.filterByTag')}>
+            {['', ...tags].map((option) => (
+              <button
+                key={option || 'all'}
+                type="button"
+                onClick={() => update({ tag: option })}
+                aria-pressed={tag === option}
+                className={`px-3 py-1.5 rounded-xl border text-sm transition-colors ${tag === option ? 'border-accent text-accent bg-accent/10' : 'border-line/10 hover:bg-line/5'}`}
+              >
+                {option || t('filters.all')}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <p className="text-sm text-muted" role="status">
+        {t(q || tag ? 'podcast.found' : 'podcast.count', { count: results.length })}
+      </p>
+
+      {items.length > 0 ? (
+        <ul className="border-t border-line/10">
+          {items.map((ep) => (
+            <li key={ep.slug} className="flex flex-wrap md:flex-nowrap gap-4 items-center py-4 border-b border-line/10">
+              <div className="flex-1 min-w-0">
+                <NavLink to={episodePath(ep.slug)} unstyled className="font-light text-lg hover:text-accent transition-colors" activeClassName="">
+                  {ep.title}
+                </NavLink>
+                <div className="text-xs text-muted flex flex-wrap gap-4 mt-1">
+                  <span>{formatDate(ep.date)}</span>
+                  <span>{ep.duration}</span>
+                  {(ep.tags || []).map((name) => <span key={name} className="text-accent">#{name}</span>)}
+                </div>
+                {ep.description && <p className="text-sm text-muted mt-2 line-clamp-2">{ep.description}</p>}
+              </div>
+              <PlayButton episode={ep} className="text-sm" />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-muted p-6 bg-inset/30 rounded-lg border border-line/10">
+          {t(q && tag ? 'podcast.noMatchesQueryTag' : q ? 'podcast.noMatchesQuery' : tag ? 'podcast.noMatchesTag' : 'podcast.noMatches', { q, tag })}{' '}
+          <button type="button" className="text-accent hover:underline" onClick={() => setSearchParams({})}>{t('events.clearFilters')}</button>
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <nav className="flex items-center justify-between" aria-label={t('podcast.pagination')}>
+          <button
+            type="button"
+            disabled={page <= 1}
+            onClick={() => update({ page: page - 1 }, { replace: false })}
+            className="px-4 py-2 rounded-xl border border-line/15 hover:bg-line/5 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            ← {t('podcast.newer')}
+          </button>
+          <span className="text-sm text-muted">{t('podcast.page', { page, count: pageCount })}</span>
+          <button
+            type="button"
+            disabled={page >= pageCount}
+            onClick={() => update({ page: page + 1 }, { replace: false })}
+            className="px-4 py-2 rounded-xl border border-line/15 hover:bg-line/5 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {t('podcast.older')} →
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+import React from "react";
+import { legal } from "../content/index.js";
+import LegalDocument from "../components/LegalDocument.jsx";
+
+export default function Terms() {
+  return <LegalDocument doc={legal.terms} />;
+}
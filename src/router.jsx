@@ -0,0 +1,395 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState, useContext, createContext } from "react";
+import { localeForPrefix, translate } from "./lib/i18n.js";
+
+/********************
+ * Lightweight PATH Router (with improvements)
+ ********************/
+export const parsePathFrom = (path) => {
+  const p = (path || "/").trim();
+  return p.startsWith("/") ? p : "/" + p;
+};
+
+const safeDecode = (value) => {
+  try { return decodeURIComponent(value); } catch { return value; }
+};
+
+const getCurrentPath = () => {
+  if (typeof window === 'undefined') return "/";
+  return parsePathFrom(window.location.pathname + window.location.search + window.location.hash);
+};
+
+// Split a path into the pieces routing cares about. `hash` keeps its leading "#".
+export const parseLocation = (path) => {
+  const full = parsePathFrom(path);
+  const hashIndex = full.indexOf('#');
+  const beforeHash = hashIndex === -1 ? full : full.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : full.slice(hashIndex);
+  const queryIndex = beforeHash.indexOf('?');
+  const pathname = queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex);
+  const search = queryIndex === -1 ? '' : beforeHash.slice(queryIndex);
+  return {
+    pathname: pathname || '/',
+    search: search === '?' ? '' : search,
+    hash: hash === '#' ? '' : hash,
+    searchParams: new URLSearchParams(search),
+  };
+};
+
+// Accepts a query string, URLSearchParams or a plain object; empty object values are dropped.
+export const toSearchParams = (init) => {
+  if (!init || typeof init === 'string' || init instanceof URLSearchParams) {
+    return new URLSearchParams(init || '');
+  }
+  const params = new URLSearchParams();
+  Object.entries(init).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) value.forEach((v) => params.append(key, v));
+    else params.set(key, value);
+  });
+  return params;
+};
+
+// Locale prefixes ("/es/about") are handled here so routes stay locale-free:
+// matching and `pathname` see "/about", and links keep the current prefix.
+export const splitLocale = (pathname, locales = []) => {
+  const [, first = '', ...rest] = pathname.split('/');
+  if (!locales.includes(first)) return { locale: '', pathname };
+  return { locale: first, pathname: `/${rest.join('/')}` };
+};
+
+// Path for `to` under a locale prefix ('' for the default locale). A prefix
+// already on `to` is replaced.
+export const localizePath = (to, locale = '', locales = []) => {
+  const { pathname, search, hash } = parseLocation(to);
+  const bare = splitLocale(pathname, locales).pathname;
+  return `${locale ? `/${locale}${bare === '/' ? '' : bare}` : bare}${search}${hash}`;
+};
+
+// Lazy pages mount a tick after the route changes, so poll briefly for targets.
+const whenElementReady = (find, callback, timeout = 2000, onTimeout) => {
+  const started = Date.now();
+  let frame;
+  const check = () => {
+    const el = find();
+    if (el) return callback(el);
+    if (Date.now() - started < timeout) frame = window.requestAnimationFrame(check);
+    else if (onTimeout) onTimeout();
+  };
+  check();
+  return () => window.cancelAnimationFrame(frame);
+};
+
+// Hidden (suspended) content can linger in the DOM, so only visible headings count.
+const findPageHeading = () => (
+  Array.from(document.querySelectorAll('main h1')).find((el) => el.getClientRects().length > 0) || null
+);
+
+// Each history entry remembers its own scroll offset in history.state.
+const saveScrollPosition = () => {
+  window.history.replaceState(
+    { ...(window.history.state || {}), scrollX: window.scrollX, scrollY: window.scrollY },
+    ""
+  );
+};
+
+const findHashTarget = (hash) => {
+  const id = safeDecode(hash.replace(/^#/, ''));
+  return id ? document.getElementById(id) : null;
+};
+
+// Route patterns: "/brands/:slug" captures params, "*" is the catch-all.
+// Routes match exactly unless they opt into prefix matching with `exact: false`.
+export const normalizePathname = (path) => {
+  const { pathname } = parseLocation(path);
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') || '/' : pathname;
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiledPaths = new Map();
+const compilePath = (pattern, exact) => {
+  const cacheKey = `${pattern}|${exact}`;
+  if (compiledPaths.has(cacheKey)) return compiledPaths.get(cacheKey);
+
+  const keys = [];
+  let regex;
+  if (pattern === '*') {
+    regex = /^.*$/;
+  } else {
+    const source = normalizePathname(pattern)
+      .split('/')
+      .map((segment) => {
+        if (!segment.startsWith(':')) return escapeRegExp(segment);
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+    if (exact) regex = new RegExp(`^${source}$`);
+    else regex = source === '/' ? /^\/.*$/ : new RegExp(`^${source}(?:/.*)?$`);
+  }
+
+  const compiled = { regex, keys };
+  compiledPaths.set(cacheKey, compiled);
+  return compiled;
+};
+
+export const matchPath = (pattern, path, { exact = true } = {}) => {
+  const pathname = normalizePathname(path);
+  const { regex, keys } = compilePath(pattern, exact);
+  const result = regex.exec(pathname);
+  if (!result) return null;
+  const params = {};
+  keys.forEach((key, i) => { params[key] = safeDecode(result[i + 1]); });
+  return { pattern, pathname, params };
+};
+
+// First matching route wins, so list specific patterns before the catch-all.
+export const matchRoute = (routes, path) => {
+  for (const route of routes) {
+    const match = matchPath(route.path, path, { exact: route.exact !== false });
+    if (match) return { route, params: match.params, pathname: match.pathname };
+  }
+  return null;
+};
+
+// Strict context: no default value to avoid misuse & function-binding issues
+const RouterCtx = createContext(undefined);
+
+const NO_LOCALES = [];
+
+// `url` seeds the location when there is no window (prerendering). `locales`
+// lists the URL prefixes of non-default locales, e.g. ['za', 'es'].
+export function RouterProvider({ routes = [], url, locales = NO_LOCALES, children }) {
+  // `type` records how we got here: 'initial' | 'push' | 'pop' | 'search'
+  const [nav, setNav] = useState(() => ({
+    route: url ? parsePathFrom(url) : getCurrentPath(),
+    type: 'initial',
+    state: null,
+  }));
+  const [loading, setLoading] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const route = nav.route;
+  const setRoute = (path, type = 'push', state = null) => setNav({ route: path, type, state });
+  const location = useMemo(() => {
+    const parsed = parseLocation(route);
+    return { ...parsed, ...splitLocale(parsed.pathname, locales) };
+  }, [route, locales]);
+  const match = useMemo(() => matchRoute(routes, location.pathname), [routes, location.pathname]);
+
+  useEffect(() => {
+    const onPop = (e) => setRoute(getCurrentPath(), 'pop', e.state);
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+
+  // We restore scroll ourselves; keep the current entry's offset fresh while the user scrolls.
+  useEffect(() => {
+    const { history } = window;
+    const previous = history.scrollRestoration;
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    let timer;
+    const onScroll = () => {
+      clearTimeout(timer);
+      timer = setTimeout(saveScrollPosition, 150);
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('pagehide', saveScrollPosition);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('pagehide', saveScrollPosition);
+      if ('scrollRestoration' in history) history.scrollRestoration = previous;
+    };
+  }, []);
+
+  // After each page change: position the viewport, then move focus to the new
+  // page's <h1> and announce it in the page's locale (this provider sits
+  // outside I18nProvider). Query-only updates leave both alone.
+  useEffect(() => {
+    if (nav.type === 'search') return undefined;
+    const cancels = [];
+    const announce = (page) => setAnnouncement(translate(localeForPrefix(location.locale), 'router.navigatedTo', { page }));
+    const saved = nav.state && typeof nav.state.scrollY === 'number' ? nav.state : null;
+
+    if (nav.type === 'pop' && saved) {
+      const root = document.documentElement;
+      const restore = () => window.scrollTo(saved.scrollX || 0, saved.scrollY);
+      cancels.push(whenElementReady(
+        () => (root.scrollHeight - window.innerHeight >= saved.scrollY ? root : null),
+        restore,
+        1000,
+        restore
+      ));
+    } else if (location.hash) {
+      cancels.push(whenElementReady(
+        () => findHashTarget(location.hash),
+        (el) => el.scrollIntoView({ behavior: nav.type === 'initial' ? 'auto' : 'smooth', block: 'start' })
+      ));
+    } else if (nav.type === 'push') {
+      window.scrollTo(0, 0);
+    }
+
+    if (nav.type !== 'initial') {
+      setAnnouncement('');
+      cancels.push(whenElementReady(
+        findPageHeading,
+        (heading) => {
+          if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+          heading.focus({ preventScroll: true });
+          announce(heading.textContent.trim() || document.title);
+        },
+        2000,
+        () => announce(document.title)
+      ));
+    }
+    return () => cancels.forEach((cancel) => cancel());
+  }, [nav]);
+
+  // `options.locale` switches locale; otherwise the current prefix is kept.
+  const navigate = (to, options = {}) => {
+    const path = localizePath(to, 'locale' in options ? options.locale : location.locale, locales);
+    const current = getCurrentPath();
+    if (path === current && location.hash) {
+      // Re-clicking the active anchor should still bring the section into view
+      const el = findHashTarget(location.hash);
+      if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else if (path !== current) {
+      if (options.showLoader) setLoading(true);
+      saveScrollPosition();
+      window.history.pushState({ scrollX: 0, scrollY: 0 }, "", path);
+      // Update state directly (do not dispatch popstate)
+      setRoute(path);
+      if (options.showLoader) {
+        setTimeout(() => setLoading(false), 300); // Brief loading state for UX
+      }
+    }
+  };
+
+  // Warm the chunk for a lazy page ahead of navigation. Load errors are left
+  // for Suspense to surface when the page actually renders.
+  const prefetch = useCallback((to) => {
+    const found = matchRoute(routes, splitLocale(parseLocation(to).pathname, locales).pathname);
+    const preload = found && found.route.component && found.route.component.preload;
+    if (preload) preload().catch(() => {});
+  }, [routes, locales]);
+
+  // Update the query string in place: no loader, no new page, hash preserved.
+  // `next` may be a string, object, URLSearchParams or a function of the current params.
+  const setSearchParams = (next, { replace = true } = {}) => {
+    const current = parseLocation(getCurrentPath());
+    const resolved = typeof next === 'function' ? next(new URLSearchParams(current.search)) : next;
+    const query = toSearchParams(resolved).toString();
+    const path = `${current.pathname}${query ? `?${query}` : ''}${current.hash}`;
+    window.history[replace ? 'replaceState' : 'pushState'](window.history.state, "", path);
+    setRoute(path, 'search');
+  };
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      window.__router = { 
+        navigate, 
+        get route(){ return route; },
+        pathname: location.pathname,
+        searchParams: location.searchParams,
+        hash: location.hash,
+        setSearchParams,
+        match,
+        params: match ? match.params : {},
+        routes,
+        matchRoute: (path) => matchRoute(routes, path),
+        prefetch,
+        loading 
+      };
+    }
+  }, [route, location, match, routes, prefetch, loading]);
+
+  const value = useMemo(() => ({
+    route,
+    locale: location.locale,
+    locales,
+    localizePath: (to, locale = location.locale) => localizePath(to, locale, locales),
+    pathname: location.pathname,
+    search: location.search,
+    searchParams: location.searchParams,
+    hash: location.hash,
+    setSearchParams,
+    match,
+    params: match ? match.params : {},
+    routes,
+    navigate,
+    prefetch,
+    loading
+  }), [route, location, locales, match, routes, prefetch, loading]);
+  return (
+    <RouterCtx.Provider value={value}>
+      {children}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
+    </RouterCtx.Provider>
+  );
+}
+
+export const useRouter = () => {
+  const ctx = useContext(RouterCtx);
+  if (!ctx) throw new Error('useRouter must be used within <RouterProvider>');
+  return ctx;
+};
+
+const NO_PARAMS = new URLSearchParams();
+
+// Query params for views rendered from the query string. Pages are prerendered
+// without one, so the first client render ignores it too and hydration matches;
+// the real params apply right after mount (as Contact does for `?type=`).
+export function useHydratedSearchParams() {
+  const { searchParams } = useRouter();
+  const [mounted, setMounted] = useState(false);
+  useEffect(() => setMounted(true), []);
+  return mounted ? searchParams : NO_PARAMS;
+}
+
+// `end` makes the link active only on an exact match; by default only "/" requires one.
+// Only plain left clicks are routed in-app; modified and middle clicks keep the
+// browser's own handling (new tab, new window, download).
+export const isPlainClick = (e) => (
+  e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey && !e.defaultPrevented
+);
+
+// `prefetch`: 'intent' (hover/focus/touch), 'viewport' (also when scrolled into view) or 'none'.
+// `unstyled` drops the default nav-pill padding/hover for links inside cards and prose.
+export function NavLink({ to, end = to === '/', prefetch = 'intent', unstyled = false, children, className = "", activeClassName = "text-accent" }) {
+  const { pathname, navigate, localizePath: localize, prefetch: prefetchRoute } = useRouter();
+  const active = !!matchPath(to, pathname, { exact: end });
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (prefetch !== 'viewport' || !ref.current || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        prefetchRoute(to);
+      }
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [prefetch, prefetchRoute, to]);
+
+  const onIntent = prefetch === 'none' ? undefined : () => prefetchRoute(to);
+  
+  return (
+    <a
+      ref={ref}
+      href={localize(to)}
+      onMouseEnter={onIntent}
+      onFocus={onIntent}
+      onTouchStart={onIntent}
+      onClick={(e) => {
+        if (!isPlainClick(e)) return;
+        e.preventDefault();
+        navigate(to, { showLoader: true });
+      }}
+      className={`${unstyled ? '' : 'px-3 py-2 rounded-xl hover:bg-line/5 transition-all duration-300'} ${active ? activeClassName : ''} ${className}`}
+      aria-current={active ? 'page' : undefined}
+    >
+      {children}
+    </a>
+  );
+}
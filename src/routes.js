@@ -0,0 +1,119 @@
+import { lazy } from "react";
+import Home from "./pages/Home.jsx";
+import { brands, episodes, programs, events } from "./content/index.js";
+
+// Each page except Home is its own chunk. `preload` lets NavLink warm a chunk
+// on hover or when the link scrolls into view, before the click.
+const lazyPage = (load) => Object.assign(lazy(load), { preload: load });
+
+export const About = lazyPage(() => import("./pages/About.jsx"));
+export const Brands = lazyPage(() => import("./pages/Brands.jsx"));
+export const BrandDetail = lazyPage(() => import("./pages/BrandDetail.jsx"));
+export const Media = lazyPage(() => import("./pages/Media.jsx"));
+export const PodcastArchive = lazyPage(() => import("./pages/PodcastArchive.jsx"));
+export const Episode = lazyPage(() => import("./pages/Episode.jsx"));
+export const Brgr = lazyPage(() => import("./pages/Brgr.jsx"));
+export const BrgrApply = lazyPage(() => import("./pages/BrgrApply.jsx"));
+export const BrgrProgram = lazyPage(() => import("./pages/BrgrProgram.jsx"));
+export const Events = lazyPage(() => import("./pages/Events.jsx"));
+export const EventDetail = lazyPage(() => import("./pages/EventDetail.jsx"));
+export const Book = lazyPage(() => import("./pages/Book.jsx"));
+export const Contact = lazyPage(() => import("./pages/Contact.jsx"));
+export const Privacy = lazyPage(() => import("./pages/Privacy.jsx"));
+export const Terms = lazyPage(() => import("./pages/Terms.jsx"));
+export const NewsletterConfirm = lazyPage(() => import("./pages/NewsletterConfirm.jsx"));
+export const NotFound = lazyPage(() => import("./pages/NotFound.jsx"));
+
+// Single source of truth for pages: RouterProvider matches against it, NavLink
+// shares its matcher, and window.__router exposes it. Order matters.
+// `head` holds the route's default title/description as catalog keys (translated by
+// RouteHead in App.jsx); pages can refine it with useHead.
+export const ROUTES = [
+  { path: '/', component: Home, head: {} },
+  {
+    path: '/about',
+    component: About,
+    head: { title: 'head.about.title', description: 'head.about.description', type: 'profile' },
+  },
+  {
+    path: '/brands',
+    component: Brands,
+    head: { title: 'head.brands.title', description: 'head.brands.description' },
+  },
+  {
+    path: '/brands/:slug',
+    component: BrandDetail,
+    head: { title: 'head.brands.title' },
+    staticPaths: () => brands.map((brand) => `/brands/${brand.slug}`),
+  },
+  {
+    path: '/media',
+    component: Media,
+    head: { title: 'head.media.title', description: 'head.media.description' },
+  },
+  {
+    path: '/media/podcast',
+    component: PodcastArchive,
+    head: { title: 'head.podcast.title', description: 'head.podcast.description' },
+  },
+  {
+    path: '/media/podcast/:slug',
+    component: Episode,
+    head: { title: 'head.podcast.title', type: 'article' },
+    staticPaths: () => episodes.map((episode) => `/media/podcast/${episode.slug}`),
+  },
+  {
+    path: '/brgr',
+    component: Brgr,
+    head: { title: 'head.brgr.title', description: 'head.brgr.description' },
+  },
+  // Before '/brgr/:slug', which would otherwise match "apply"
+  {
+    path: '/brgr/apply',
+    component: BrgrApply,
+    head: { title: 'head.brgrApply.title', description: 'head.brgrApply.description' },
+  },
+  {
+    path: '/brgr/:slug',
+    component: BrgrProgram,
+    head: { title: 'head.brgr.title' },
+    staticPaths: () => programs.map((program) => `/brgr/${program.slug}`),
+  },
+  {
+    path: '/events',
+    component: Events,
+    head: { title: 'head.events.title', description: 'head.events.description' },
+  },
+  {
+    path: '/events/:slug',
+    component: EventDetail,
+    head: { title: 'head.events.title' },
+    staticPaths: () => events.map((event) => `/events/${event.slug}`),
+  },
+  {
+    path: '/book',
+    component: Book,
+    head: { title: 'head.book.title', description: 'head.book.description' },
+  },
+  {
+    path: '/contact',
+    component: Contact,
+    head: { title: 'head.contact.title', description: 'head.contact.description' },
+  },
+  {
+    path: '/privacy',
+    component: Privacy,
+    head: { title: 'head.privacy.title', description: 'head.privacy.description' },
+  },
+  {
+    path: '/terms',
+    component: Terms,
+    head: { title: 'head.terms.title', description: 'head.terms.description' },
+  },
+  {
+    path: '/newsletter/confirm',
+    component: NewsletterConfirm,
+    head: { title: 'head.newsletterConfirm.title', robots: 'noindex' },
+  },
+  { path: '*', component: NotFound, head: { title: 'notFound.title', robots: 'noindex' } },
+];
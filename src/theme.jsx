@@ -0,0 +1,99 @@
+import React, { useCallback, useEffect, useMemo, useContext, createContext, useSyncExternalStore } from "react";
+
+/********************
+ * THEME CONTEXT
+ ********************/
+// The preference is 'light' | 'dark' | 'system'; the applied theme is always
+// 'light' or 'dark'. The inline script in index.html runs the same resolution
+// before first paint, so keep the two in sync.
+const STORAGE_KEY = 'theme';
+export const THEME_PREFERENCES = ['light', 'dark', 'system'];
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+const readPreference = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+const systemTheme = () => (
+  typeof window !== 'undefined' && window.matchMedia && window.matchMedia(LIGHT_QUERY).matches ? 'light' : 'dark'
+);
+
+export const resolveTheme = (preference) => (preference === 'system' ? systemTheme() : preference);
+
+// External store: localStorage (also written by other tabs) plus the OS setting.
+const listeners = new Set();
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    window.addEventListener('storage', onStorage);
+    const media = window.matchMedia && window.matchMedia(LIGHT_QUERY);
+    if (media) media.addEventListener('change', notify);
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', onStorage);
+      const media = window.matchMedia && window.matchMedia(LIGHT_QUERY);
+      if (media) media.removeEventListener('change', notify);
+    }
+  };
+};
+
+function onStorage(e) {
+  if (e.key === STORAGE_KEY || e.key === null) notify();
+}
+
+// Snapshots must be primitives to compare stably: "<preference>:<theme>"
+const getSnapshot = () => {
+  const preference = readPreference();
+  return `${preference}:${resolveTheme(preference)}`;
+};
+// Server render and hydration assume the default; the client corrects right after.
+const getServerSnapshot = () => 'system:dark';
+
+const ThemeContext = createContext({ 
+  theme: 'dark',
+  preference: 'system',
+  setPreference: () => {},
+  toggleTheme: () => {}
+});
+
+export function ThemeProvider({ children }) {
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  const [preference, theme] = snapshot.split(':');
+
+  useEffect(() => {
+    document.documentElement.setAttribute('data-theme', theme);
+  }, [theme]);
+
+  const setPreference = useCallback((next) => {
+    if (!THEME_PREFERENCES.includes(next)) return;
+    try { localStorage.setItem(STORAGE_KEY, next); } catch { /* private mode: session-only */ }
+    notify();
+  }, []);
+
+  // Cycles light → dark → system
+  const toggleTheme = useCallback(() => {
+    const index = THEME_PREFERENCES.indexOf(readPreference());
+    setPreference(THEME_PREFERENCES[(index + 1) % THEME_PREFERENCES.length]);
+  }, [setPreference]);
+  
+  const value = useMemo(
+    () => ({ theme, preference, setPreference, toggleTheme }),
+    [theme, preference, setPreference, toggleTheme]
+  );
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used within a ThemeProvider');
+  return context;
+};
@@ -1,8 +1,25 @@
 /** @type {import('tailwindcss').Config} */
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 export default {
   content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
   theme: {
-    extend: {},
+    extend: {
+      // Backed by the CSS variables in src/index.css, so every utility themes per data-theme
+      colors: {
+        canvas: token('canvas'),
+        surface: token('surface'),
+        ink: token('ink'),
+        muted: token('muted'),
+        subtle: token('subtle'),
+        line: token('line'),
+        inset: token('inset'),
+        accent: {
+          DEFAULT: token('accent'),
+          fg: token('accent-fg'),
+        },
+      },
+    },
   },
   plugins: [],
 }
@@ -1,7 +1,33 @@
+import fs from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
-export default defineConfig({
-  plugins: [react()],
+import { validateContent, contentGaps } from "./src/content/schema.js";
+
+// Fail the build (or dev server start) when src/content/*.json breaks the schema,
+// and list optional content that is still missing
+const contentFiles = ["brands", "podcast", "programs", "social", "press", "hero", "presskit", "events", "legal"];
+const readContent = () => Object.fromEntries(contentFiles.map((name) => [
+  name,
+  JSON.parse(fs.readFileSync(new URL(`./src/content/${name}.json`, import.meta.url), "utf8")),
+]));
+
+// `reportGaps` is off for the SSR build so the gaps are listed once per `npm run build`
+function validateContentPlugin({ reportGaps = true } = {}) {
+  return {
+    name: "validate-content",
+    buildStart() {
+      const content = readContent();
+      const errors = validateContent(content);
+      if (errors.length) this.error(`Invalid content in src/content:\n  - ${errors.join("\n  - ")}`);
+      const gaps = reportGaps ? contentGaps(content) : [];
+      if (gaps.length) this.warn(`Missing content (hidden on the site):\n  - ${gaps.join("\n  - ")}`);
+    },
+  };
+}
+
+export default defineConfig(({ isSsrBuild }) => ({
+  plugins: [react(), validateContentPlugin({ reportGaps: !isSsrBuild })],
   server: { port: 5173, host: true },
-  build: { outDir: "dist" }
-});
+  // The SSR bundle only feeds scripts/prerender.js; keep public/ out of it
+  build: { outDir: "dist", copyPublicDir: !isSsrBuild }
+}));